@@ -3,126 +3,385 @@
 /**
  * Simple utility script to analyze K6 JSON output
  * Save K6 results to a JSON file with: k6 run --out json=results.json your-test.js
- * Then run: node analyze-results.js results.json
+ * Then run: node analyze-results.js results.json [--group-by type,group] [--config ci-config.json] [--profile load]
+ *   [--environment staging]
+ *
+ * The file is streamed and percentiles are estimated with a t-digest, so even
+ * multi-gigabyte results from long staged runs are analyzed in bounded memory.
+ *
+ * http_req_duration, http_req_failed and checks are also broken down by tag.
+ * Without --group-by the breakdowns are by type, group, name and status; each
+ * comma-separated key gets its own table and keys joined with "+" are combined.
+ *
+ * Thresholds come from the "thresholds" section of --config, or default to the
+ * ones declared by dummyjson-advanced-test.js plus those of --profile. Those of
+ * --environment (environments.json) go on top, as they do in the scripts.
+ *
+ * When the results contain the journey counters and step trends recorded by
+ * the flow steps, a funnel with conversion ratios login → browse → detail →
+ * cart → checkout is printed, overall and per scenario.
+ *
+ * Latency, throughput, errors and VUs are also reported per stage of the load
+ * profile when --profile (or a --config with "stages") is given, and per fixed
+ * window with --interval 30s. --warmup and --rampdown leave the start and end
+ * of the run out of threshold evaluation; each takes a duration, or "stage"
+ * for the profile's first or last stage.
+ *
+ * When the results contain the errors counter of shared/errors.js, failures
+ * are classified (timeouts, connection errors, 4xx by code, 5xx, JSON parse
+ * errors, failed checks). --failures console.log summarizes the failed-request
+ * samples the scripts logged, as written by k6 --console-output.
+ *
+ * --html report.html additionally writes a self-contained HTML report with
+ * charts over time, a latency histogram, check pass rates and the breakdowns.
+ *
+ * Every analyzed run is summarized in the run history (results/history.jsonl,
+ * or --history FILE) together with the git commit, --profile and --script;
+ * --no-history skips that. history.js shows the trends across runs.
  */
 
 const fs = require('fs');
+const { parseArgs } = require('util');
+const { REPORTED_PERCENTILES, collectResults, errorSummary } = require('./lib/metrics');
+const { Breakdown, createBreakdowns } = require('./lib/breakdown');
+const { Timeline } = require('./lib/timeline');
+const { StageWindows, WindowFilter, stageWindows, thresholdWindow } = require('./lib/windows');
+const { Histogram } = require('./lib/histogram');
+const { Funnel } = require('./lib/funnel');
+const { renderHtmlReport } = require('./lib/html-report');
+const { DEFAULT_THRESHOLDS, ThresholdSet, loadThresholds, formatActual } = require('./lib/thresholds');
+const { loadProfile, parseDuration } = require('./lib/profiles');
+const { loadEnvironment, mergeThresholds } = require('./lib/environments');
+const { DEFAULT_HISTORY_FILE, HISTORY_TAG, summarizeRun, appendRun } = require('./lib/history');
+const { ErrorClassification, REQUEST_CATEGORIES, readFailureSamples } = require('./lib/failures');
 
-if (process.argv.length < 3) {
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'group-by': { type: 'string', multiple: true },
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    environment: { type: 'string' },
+    script: { type: 'string' },
+    html: { type: 'string' },
+    failures: { type: 'string' },
+    interval: { type: 'string' },
+    warmup: { type: 'string' },
+    rampdown: { type: 'string' },
+    history: { type: 'string', default: DEFAULT_HISTORY_FILE },
+    'no-history': { type: 'boolean', default: false },
+  },
+});
+
+if (positionals.length < 1) {
   console.error('Please provide the path to a k6 JSON results file');
-  console.error('Usage: node analyze-results.js results.json');
+  console.error('Usage: node analyze-results.js results.json [--group-by type,group] [--html report.html]');
   process.exit(1);
 }
 
-const filePath = process.argv[2];
-
-try {
-  const data = fs.readFileSync(filePath, 'utf8');
-  const lines = data.trim().split('\n');
-  
-  // K6 JSON output format is NDJSON (each line is a separate JSON object)
-  const metrics = {};
-  const points = [];
-  
-  lines.forEach(line => {
-    const entry = JSON.parse(line);
-    
-    if (entry.type === 'Point') {
-      points.push(entry);
-      
-      if (!metrics[entry.metric]) {
-        metrics[entry.metric] = {
-          values: [],
-          tags: entry.tags
-        };
-      }
-      
-      metrics[entry.metric].values.push(entry.data.value);
+const filePath = positionals[0];
+
+// Longest series label printed before it is shortened
+const MAX_LABEL_WIDTH = 60;
+
+// Percentiles per time window
+const WINDOW_PERCENTILES = [50, 90, 95, 99];
+
+// Categories and requests listed in the failure sample summary
+const MAX_SAMPLE_GROUPS = 10;
+
+function formatValue(value) {
+  return value === undefined ? 'N/A' : value.toFixed(2);
+}
+
+function formatRatio(ratio) {
+  return ratio === undefined ? '-' : `${(ratio * 100).toFixed(2)}%`;
+}
+
+function formatLabel(label, width) {
+  return label.length > width ? `${label.slice(0, width - 1)}…` : label.padEnd(width);
+}
+
+function printBreakdown(breakdown) {
+  console.log(`===== Breakdown by ${breakdown.label} =====\n`);
+
+  breakdown.metricNames.forEach(metricName => {
+    const series = breakdown.series(metricName);
+    if (series.length === 0) return;
+
+    const width = Math.min(MAX_LABEL_WIDTH, Math.max(6, ...series.map(([label]) => label.length)));
+    const isRate = series[0][1].type === 'rate';
+    const columns = isRate ? ['Count', 'Rate'] : ['Count', 'Avg', 'p50', 'p95', 'p99', 'Max'];
+
+    console.log(metricName);
+    console.log(`  ${'Series'.padEnd(width)}  ${columns.map(c => c.padStart(10)).join('')}`);
+
+    series.forEach(([label, stats]) => {
+      const values = isRate
+        ? [String(stats.count), `${(stats.rate * 100).toFixed(2)}%`]
+        : [String(stats.count), ...[stats.avg, stats.percentile(50), stats.percentile(95), stats.percentile(99), stats.max].map(formatValue)];
+      console.log(`  ${formatLabel(label, width)}  ${values.map(v => v.padStart(10)).join('')}`);
+    });
+    console.log('');
+  });
+}
+
+function printFunnel(funnel) {
+  console.log(`Journey funnel – ${funnel.label}`);
+  console.log(`  ${'Step'.padEnd(10)}${['Count', 'From prev', 'From start', 'p95 ms'].map(c => c.padStart(12)).join('')}`);
+  funnel.stages.forEach(stage => {
+    const values = [String(stage.count), formatRatio(stage.fromPrevious), formatRatio(stage.fromStart), formatValue(stage.p95)];
+    console.log(`  ${stage.step.padEnd(10)}${values.map(v => v.padStart(12)).join('')}`);
+  });
+  console.log(`  Journey p95 (active time): ${formatValue(funnel.journeyP95)} ms\n`);
+}
+
+function printErrorClassification(categories, totalReqs) {
+  console.log('===== Error Classification =====\n');
+  console.log(`  ${'Category'.padEnd(12)}${['Count', 'Of requests'].map(c => c.padStart(12)).join('')}  Top values`);
+  categories.forEach(({ category, count, detailTag, details }) => {
+    // Failed checks and parse errors are not failed requests, so no share for them
+    const share = REQUEST_CATEGORIES.includes(category) && totalReqs > 0 ? formatRatio(count / totalReqs) : '-';
+    const top = details.map(([value, detailCount]) => `${value} (${detailCount})`).join(', ');
+    console.log(`  ${category.padEnd(12)}${[String(count), share].map(v => v.padStart(12)).join('')}  ${detailTag}: ${top || '-'}`);
+  });
+  console.log('');
+}
+
+function printFailureSamples(failures) {
+  console.log(`===== Failure Samples (${options.failures}) =====\n`);
+  if (failures.total === 0) {
+    console.log('  No failure samples logged\n');
+    return;
+  }
+
+  const printCounts = (title, counts) => {
+    console.log(title);
+    [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_SAMPLE_GROUPS).forEach(([label, count]) => {
+      console.log(`  ${String(count).padStart(6)}  ${label}`);
+    });
+    console.log('');
+  };
+  printCounts(`${failures.total} sample(s) by category`, failures.byCategory);
+  if (failures.byRequest.size > 0) {
+    printCounts('By request', failures.byRequest);
+  }
+
+  console.log(`First ${failures.samples.length}:`);
+  failures.samples.forEach(sample => {
+    const where = `VU ${sample.vu ?? '-'}, iteration ${sample.iteration ?? '-'}${sample.scenario ? `, ${sample.scenario}` : ''}`;
+    const what = sample.url
+      ? `${sample.method || 'GET'} ${sample.url} → ${sample.status}${sample.error ? ` (${sample.error})` : ''}`
+      : `check "${sample.check}" failed`;
+    console.log(`  [${sample.category}] ${what}, ${where}`);
+    if (sample.body) {
+      console.log(`      ${sample.body.replace(/\s+/g, ' ').slice(0, MAX_LABEL_WIDTH * 2)}`);
     }
   });
-  
+  console.log('');
+}
+
+function formatOffset(seconds) {
+  // Round the total first, so 119.6s is 2m00s rather than 1m60s
+  const total = Math.round(seconds);
+  const minutes = Math.floor(total / 60);
+  const rest = total % 60;
+  return minutes > 0 ? `${minutes}m${String(rest).padStart(2, '0')}s` : `${rest}s`;
+}
+
+function printWindows(title, windows) {
+  console.log(`===== ${title} =====\n`);
+  const width = Math.max(6, ...windows.map(window => window.label.length));
+  const times = windows.map(window => `${formatOffset(window.from)}–${formatOffset(window.to)}`);
+  const timeWidth = Math.max(4, ...times.map(time => time.length));
+  const columns = ['VUs', 'Reqs', 'RPS', 'Err %', ...WINDOW_PERCENTILES.map(p => `p${p}`)];
+  console.log(`  ${'Window'.padEnd(width)}  ${'Time'.padEnd(timeWidth)}${columns.map(c => c.padStart(10)).join('')}`);
+  windows.forEach((window, index) => {
+    const values = [
+      String(window.vus),
+      String(window.requests),
+      formatValue(window.rps),
+      formatRatio(window.errorRate),
+      ...WINDOW_PERCENTILES.map(p => formatValue(window.duration.percentile(p))),
+    ];
+    console.log(`  ${window.label.padEnd(width)}  ${times[index].padEnd(timeWidth)}${values.map(v => v.padStart(10)).join('')}`);
+  });
+  console.log('');
+}
+
+// Stages of --profile, or of --config when it has them
+function selectStages() {
+  if (options.profile) {
+    return loadProfile(options.profile).stages || null;
+  }
+  if (options.config) {
+    return JSON.parse(fs.readFileSync(options.config, 'utf8')).stages || null;
+  }
+  return null;
+}
+
+// Thresholds of --config, or the script defaults with those of --profile on
+// top, and those of --environment added to either
+function selectThresholds() {
+  let thresholds = DEFAULT_THRESHOLDS;
+  if (options.config) {
+    thresholds = loadThresholds(options.config);
+  } else if (options.profile) {
+    thresholds = { ...DEFAULT_THRESHOLDS, ...loadProfile(options.profile).thresholds };
+  }
+  return options.environment ? mergeThresholds(thresholds, loadEnvironment(options.environment)) : thresholds;
+}
+
+async function main() {
+  const breakdowns = createBreakdowns(options['group-by']);
+  const thresholds = new ThresholdSet(selectThresholds());
+  const stages = selectStages();
+  const excluded = thresholdWindow(filePath, stages, options);
+  const thresholdFilter = excluded ? new WindowFilter(thresholds, excluded) : null;
+  const stageStats = stages ? new StageWindows(stageWindows(stages)) : null;
+  const intervalStats = options.interval ? new Timeline({ intervalMs: parseDuration(options.interval) * 1000 }) : null;
+  const funnel = new Funnel();
+  const checks = new Breakdown(['check'], ['checks']);
+  const historyByTag = new Breakdown([HISTORY_TAG], ['http_req_duration', 'http_req_failed']);
+  const errorClassification = new ErrorClassification();
+  const observers = [...breakdowns, thresholdFilter || thresholds, funnel, checks, historyByTag, errorClassification]
+    .concat([stageStats, intervalStats].filter(Boolean));
+
+  // Extra aggregations only needed for the HTML report
+  const htmlReport = options.html
+    ? { timeline: new Timeline(), histogram: new Histogram('http_req_duration'), checks }
+    : null;
+  if (htmlReport) {
+    observers.push(htmlReport.timeline, htmlReport.histogram);
+  }
+
+  const { metrics, statusCodes, stats, timeRange } = await collectResults(filePath, observers);
+  const thresholdResults = thresholds.evaluate(thresholdFilter ? thresholdFilter.timeRange : timeRange);
+
   console.log('\n===== K6 Performance Test Analysis =====\n');
-  
-  // Calculate stats for each metric
-  Object.keys(metrics).forEach(metricName => {
-    const values = metrics[metricName].values;
-    const tags = metrics[metricName].tags;
-    
+
+  if (stats.invalid > 0) {
+    console.log(`Skipped ${stats.invalid} unparseable line(s)\n`);
+  }
+
+  // Print stats for each metric
+  Object.entries(metrics).forEach(([metricName, metric]) => {
     // Skip metrics with no values
-    if (values.length === 0) return;
-    
-    // Calculate statistics
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    const avg = sum / values.length;
-    const sorted = [...values].sort((a, b) => a - b);
-    const min = sorted[0];
-    const max = sorted[sorted.length - 1];
-    const p95 = sorted[Math.floor(sorted.length * 0.95)];
-    const p99 = sorted[Math.floor(sorted.length * 0.99)];
-    
+    if (metric.count === 0) return;
+
     console.log(`Metric: ${metricName}`);
-    
-    // Print tags if they exist
-    if (tags && Object.keys(tags).length > 0) {
-      console.log(`  Tags: ${JSON.stringify(tags)}`);
-    }
-    
-    console.log(`  Count: ${values.length}`);
-    console.log(`  Min: ${min?.toFixed(2) || 'N/A'}`);
-    console.log(`  Max: ${max?.toFixed(2) || 'N/A'}`);
-    console.log(`  Avg: ${avg?.toFixed(2) || 'N/A'}`);
-    console.log(`  p95: ${p95?.toFixed(2) || 'N/A'}`);
-    console.log(`  p99: ${p99?.toFixed(2) || 'N/A'}`);
+    console.log(`  Count: ${metric.count}`);
+    console.log(`  Min: ${formatValue(metric.min)}`);
+    console.log(`  Max: ${formatValue(metric.max)}`);
+    console.log(`  Avg: ${formatValue(metric.avg)}`);
+    REPORTED_PERCENTILES.forEach(p => {
+      console.log(`  p${p}: ${formatValue(metric.percentile(p))}`);
+    });
     console.log('');
   });
-  
+
+  // Per-tag breakdowns
+  breakdowns.forEach(printBreakdown);
+
+  // How the numbers change over the run
+  if (stageStats) {
+    printWindows(`Stages (${options.profile || options.config})`, stageStats.series());
+  }
+  if (intervalStats) {
+    const intervalSeconds = intervalStats.intervalMs / 1000;
+    printWindows(`Every ${options.interval}`, intervalStats.series().map((window, index) => ({
+      ...window,
+      label: `#${index + 1}`,
+      from: window.offset,
+      to: window.offset + intervalSeconds,
+    })));
+  }
+
+  // Conversion through the shopping journey
+  const funnels = funnel.reports();
+  if (funnels.length > 0) {
+    console.log('===== Journey Funnel =====\n');
+    funnels.forEach(printFunnel);
+  }
+
   // Analyze HTTP status codes
-  const statusCodes = {};
-  const httpReqs = points.filter(point => point.metric === 'http_reqs');
-  
-  httpReqs.forEach(req => {
-    const status = req.data.tags?.status || 'unknown';
-    statusCodes[status] = (statusCodes[status] || 0) + 1;
-  });
-  
   console.log('HTTP Status Code Distribution:');
   Object.entries(statusCodes).forEach(([code, count]) => {
     console.log(`  ${code}: ${count}`);
   });
-  
+
   // Calculate error rate
-  const totalReqs = Object.values(statusCodes).reduce((sum, count) => sum + count, 0);
-  const errorReqs = Object.entries(statusCodes)
-    .filter(([code]) => code.startsWith('4') || code.startsWith('5'))
-    .reduce((sum, [_, count]) => sum + count, 0);
-  
-  const errorRate = totalReqs > 0 ? (errorReqs / totalReqs) * 100 : 0;
-  
+  const errors = errorSummary(statusCodes);
+  const { totalReqs, errorReqs, errorRate } = errors;
+  const errorPercent = errorRate * 100;
+
   console.log(`\nTotal Requests: ${totalReqs}`);
   console.log(`Error Requests: ${errorReqs}`);
-  console.log(`Error Rate: ${errorRate.toFixed(2)}%`);
-  
+  console.log(`Error Rate: ${errorPercent.toFixed(2)}%\n`);
+
+  // Failures by category, from the errors counter of the scripts
+  const errorCategories = errorClassification.report();
+  if (errorCategories.length > 0) {
+    printErrorClassification(errorCategories, totalReqs);
+  }
+  if (options.failures) {
+    printFailureSamples(await readFailureSamples(options.failures));
+  }
+
   // Check if thresholds were met
-  console.log('\nThreshold Analysis:');
-  
-  // Common thresholds to check
-  const p95Duration = metrics['http_req_duration']?.values.sort((a, b) => a - b)[Math.floor(metrics['http_req_duration']?.values.length * 0.95)] || 0;
-  console.log(`  95% of requests completed in: ${p95Duration.toFixed(2)}ms (threshold: <500ms)`);
-  console.log(`  Error rate: ${errorRate.toFixed(2)}% (threshold: <10%)`);
-  
-  if (p95Duration > 500) {
-    console.log('  ❌ Warning: 95th percentile response time exceeds 500ms threshold');
-  } else {
-    console.log('  ✅ 95th percentile response time is within threshold');
+  console.log('Threshold Analysis:');
+  if (thresholdFilter) {
+    const { start, end } = thresholdFilter.timeRange;
+    const span = end >= start
+      ? `${formatOffset((start - thresholdFilter.origin) / 1000)} to ${formatOffset((end - thresholdFilter.origin) / 1000)}`
+      : 'no points';
+    console.log(`  Evaluated over ${span} of the run, ${thresholdFilter.excluded} warm-up/ramp-down point(s) left out`);
   }
-  
-  if (errorRate > 10) {
-    console.log('  ❌ Warning: Error rate exceeds 10% threshold');
-  } else {
-    console.log('  ✅ Error rate is within threshold');
+
+  thresholdResults.forEach(result => {
+    const label = `${result.selector}: ${result.expression.source}`;
+    if (result.noData) {
+      console.log(`  ⚠️  ${label} (no data)`);
+    } else if (result.passed) {
+      console.log(`  ✅ ${label} (actual: ${formatActual(result)})`);
+    } else {
+      console.log(`  ❌ Warning: ${label} not met (actual: ${formatActual(result)})`);
+    }
+  });
+
+  if (htmlReport) {
+    fs.writeFileSync(options.html, renderHtmlReport({
+      source: filePath,
+      metrics,
+      statusCodes,
+      breakdowns,
+      thresholdResults,
+      funnels,
+      ...htmlReport,
+    }));
+    console.log(`\nHTML report written to ${options.html}`);
   }
-  
-} catch (err) {
+
+  if (!options['no-history'] && totalReqs > 0) {
+    const summary = summarizeRun({
+      source: filePath,
+      metrics,
+      timeRange,
+      errors,
+      byTag: historyByTag,
+      checks,
+      thresholdResults,
+      profile: options.profile,
+      script: options.script,
+    });
+    const appended = appendRun(summary, options.history);
+    console.log(appended
+      ? `\nRun recorded in ${options.history}`
+      : `\nRun already recorded in ${options.history}`);
+  }
+}
+
+main().catch(err => {
   console.error('Error reading or parsing the file:', err);
   process.exit(1);
-}
+});
@@ -0,0 +1,100 @@
+import { loadUsers, loadCatalog, userPicker } from './shared/data.js';
+import { loadEnvironment, userOptions, enforceEnvironment } from './shared/environments.js';
+import { createClient } from './shared/api.js';
+import { createSessions } from './shared/session.js';
+import { createSteps } from './shared/flows.js';
+import { loadPacing, createPacing } from './shared/pacing.js';
+import { loadCapacityConfig, steppedStages, sloThresholds, stepTags, tagStep } from './shared/capacity.js';
+import { summaryOutputs, SUMMARY_TREND_STATS } from './shared/summary.js';
+
+// Target environment - base URL, credentials, allowed profiles, thresholds and
+// limits from environments.json. Select one with -e ENV=local-mock|dev|staging|prod-like
+const ENVIRONMENT = loadEnvironment(__ENV.ENV, (path) => open(path));
+
+// Stepped arrival rate and SLO from breakpoint-config.json - override with
+// -e CAPACITY_CONFIG=path or single values such as -e STEPS=20 -e RATE_STEP=10
+const CAPACITY = loadCapacityConfig((path) => open(path), __ENV);
+
+// Test configuration - iterations are started at a fixed rate per step, however
+// long they take, so a slow system shows up as latency and dropped iterations
+// instead of the load quietly backing off as it does with VUs
+export const options = {
+  scenarios: {
+    breakpoint: {
+      executor: 'ramping-arrival-rate',
+      startRate: 0,
+      timeUnit: '1s',
+      preAllocatedVUs: CAPACITY.preAllocatedVUs,
+      maxVUs: CAPACITY.maxVUs,
+      stages: steppedStages(CAPACITY),
+    },
+  },
+  thresholds: sloThresholds(CAPACITY),
+  summaryTrendStats: SUMMARY_TREND_STATS,
+};
+
+// The SLO stands in for the environment's thresholds, but the environment must
+// allow breakpoint tests and maxVUs must stay within its limits
+enforceEnvironment(ENVIRONMENT, 'breakpoint', options);
+
+// Base URL for the API from the environment - override with -e BASE_URL=http://localhost:3000
+// to target the local mock server
+const BASE_URL = __ENV.BASE_URL || ENVIRONMENT.baseUrl;
+
+// User pool from the environment's users file (default: ./data/users.csv) - override
+// with -e USERS_FILE=path (CSV or JSON), or -e TEST_USERNAME/-e TEST_PASSWORD
+const USERS = loadUsers((path) => open(path), userOptions(ENVIRONMENT, __ENV));
+const nextUser = userPicker(USERS, __ENV.USER_DISTRIBUTION);
+
+// Search terms and product ID range - override with -e CATALOG_FILE=path
+const CATALOG = loadCatalog((path) => open(path), __ENV.CATALOG_FILE);
+
+// Contracts are only sampled, validating every response costs load generator CPU at high rates
+// Every request is tagged with the step it is sent in for find-capacity.js
+const api = createClient(BASE_URL, {
+  schemaSampleRate: Number(__ENV.SCHEMA_SAMPLE_RATE || 0.1),
+  tags: () => stepTags(CAPACITY),
+});
+
+const sessions = createSessions({
+  api,
+  nextUser,
+  expiresInMins: Number(__ENV.TOKEN_EXPIRES_MINS) || 30,
+});
+
+// Think times keep the visit the same as in dummyjson-test.js, but every VU
+// then spends most of an iteration sleeping; -e THINK_TIME_SCALE=0 removes
+// them to reach high rates with fewer VUs
+const pacing = createPacing(loadPacing((path) => open(path), __ENV));
+
+// The same visit as dummyjson-test.js
+const steps = createSteps({
+  api,
+  sessions,
+  catalog: CATALOG,
+  mix: { categoryBrowseRatio: 0, searchRatio: 1, checkoutRatio: 1 },
+  pacing,
+});
+
+export function setup() {
+  return __ENV.SESSION_MODE === 'pool' ? { tokens: sessions.createPool(USERS) } : {};
+}
+
+export default function(data) {
+  // Count this iteration in the step it starts in
+  tagStep(CAPACITY);
+
+  const session = steps.startSession(data);
+  steps.browseProducts(session.headers);
+  const product = steps.viewProductDetails(session.headers);
+  if (product) {
+    steps.addToCart(session, product);
+    steps.checkoutCart(session);
+  }
+  steps.finishJourney();
+}
+
+// End-of-test reports (breakpoint-test-k6-*, or -e SUMMARY_PREFIX=path/name)
+export function handleSummary(data) {
+  return summaryOutputs(data, 'breakpoint-test');
+}
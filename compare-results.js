@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Compare a candidate k6 run against a baseline and flag regressions
+ *
+ * Usage:
+ * node compare-results.js <baseline.json> <candidate.json> [options]
+ *
+ * Options:
+ *   --group-by KEYS            Tag keys to compare per series as well (default: type)
+ *   --max-increase PCT         Allowed relative latency increase in percent (default: 10)
+ *   --min-delta MS             Latency changes smaller than this are ignored (default: 5)
+ *   --max-rate-change RATE     Allowed absolute change of error/check rates (default: 0.01)
+ *   --max-throughput-drop PCT  Allowed relative throughput drop in percent (default: 10)
+ *   --alpha P                  Significance level for the statistical tests (default: 0.05)
+ *
+ * A latency percentile only counts as a regression when it exceeds both the
+ * relative and absolute tolerance and a Mann-Whitney U test on sampled values
+ * says the candidate is significantly slower, so run-to-run noise is not
+ * reported. Rates are checked the same way with a two-proportion z-test.
+ * Exits with 1 if any regression is found.
+ */
+
+const { parseArgs } = require('util');
+const { collectResults } = require('./lib/metrics');
+const { Breakdown, createBreakdowns } = require('./lib/breakdown');
+const { mannWhitneyU, twoProportionZ } = require('./lib/significance');
+
+// Exit codes
+const SUCCESS = 0;
+const FAILURE = 1;
+
+// Metrics compared overall and per series
+const COMPARED_METRICS = ['http_req_duration', 'iteration_duration', 'http_req_failed', 'checks'];
+
+// Latency percentiles compared for trend metrics
+const COMPARED_PERCENTILES = [50, 95, 99];
+
+// Rate metrics where a lower value is the regression; for all others higher is worse
+const LOWER_IS_WORSE = ['checks'];
+
+// Raw values kept per series for the Mann-Whitney test
+const SAMPLE_SIZE = 5000;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'group-by': { type: 'string', multiple: true, default: ['type'] },
+    'max-increase': { type: 'string', default: '10' },
+    'min-delta': { type: 'string', default: '5' },
+    'max-rate-change': { type: 'string', default: '0.01' },
+    'max-throughput-drop': { type: 'string', default: '10' },
+    alpha: { type: 'string', default: '0.05' },
+  },
+});
+
+if (positionals.length < 2) {
+  console.error('Please provide a baseline and a candidate k6 JSON results file');
+  console.error('Usage: node compare-results.js baseline.json candidate.json [--group-by type]');
+  process.exit(FAILURE);
+}
+
+const [baselineFile, candidateFile] = positionals;
+
+const TOLERANCES = {
+  maxIncrease: Number(options['max-increase']) / 100,
+  minDelta: Number(options['min-delta']),
+  maxRateChange: Number(options['max-rate-change']),
+  maxThroughputDrop: Number(options['max-throughput-drop']) / 100,
+  alpha: Number(options.alpha),
+};
+
+async function collectRun(filePath) {
+  const breakdowns = [
+    new Breakdown([], COMPARED_METRICS, { sampleSize: SAMPLE_SIZE }),
+    ...createBreakdowns(options['group-by'], COMPARED_METRICS, { sampleSize: SAMPLE_SIZE }),
+  ];
+  const { timeRange } = await collectResults(filePath, breakdowns);
+  const durationSeconds = Math.max((timeRange.end - timeRange.start) / 1000, 0);
+  return { breakdowns, durationSeconds };
+}
+
+function relativeChange(baseline, candidate) {
+  return baseline !== 0 ? (candidate - baseline) / baseline : 0;
+}
+
+function compareTrend(base, cand, run) {
+  const test = mannWhitneyU(cand.sample.values, base.sample.values);
+
+  const rows = COMPARED_PERCENTILES.map(p => {
+    const baseline = base.percentile(p);
+    const candidate = cand.percentile(p);
+    const delta = candidate - baseline;
+    const change = relativeChange(baseline, candidate);
+    let status = 'ok';
+    if (delta > TOLERANCES.minDelta && change > TOLERANCES.maxIncrease && test.pGreater < TOLERANCES.alpha) {
+      status = 'regression';
+    } else if (-delta > TOLERANCES.minDelta && -change > TOLERANCES.maxIncrease && test.pLess < TOLERANCES.alpha) {
+      status = 'improvement';
+    }
+    return { stat: `p${p}`, baseline, candidate, change, pValue: test.pGreater, status };
+  });
+
+  const baseRps = run.baseline.durationSeconds > 0 ? base.count / run.baseline.durationSeconds : 0;
+  const candRps = run.candidate.durationSeconds > 0 ? cand.count / run.candidate.durationSeconds : 0;
+  const throughputChange = relativeChange(baseRps, candRps);
+  rows.push({
+    stat: 'per sec',
+    baseline: baseRps,
+    candidate: candRps,
+    change: throughputChange,
+    pValue: undefined,
+    status: -throughputChange > TOLERANCES.maxThroughputDrop ? 'regression' : 'ok',
+  });
+
+  return rows;
+}
+
+function compareRate(metricName, base, cand) {
+  const lowerIsWorse = LOWER_IS_WORSE.includes(metricName);
+  const test = twoProportionZ(cand.nonZero, cand.count, base.nonZero, base.count);
+  const delta = cand.rate - base.rate;
+  const worse = lowerIsWorse ? -delta : delta;
+  const pWorse = lowerIsWorse ? test.pLess : test.pGreater;
+  const pBetter = lowerIsWorse ? test.pGreater : test.pLess;
+
+  let status = 'ok';
+  if (worse > TOLERANCES.maxRateChange && pWorse < TOLERANCES.alpha) {
+    status = 'regression';
+  } else if (-worse > TOLERANCES.maxRateChange && pBetter < TOLERANCES.alpha) {
+    status = 'improvement';
+  }
+
+  return [{ stat: 'rate', baseline: base.rate, candidate: cand.rate, change: delta, absolute: true, pValue: pWorse, status }];
+}
+
+const STATUS_LABELS = {
+  ok: '',
+  regression: '❌ regression',
+  improvement: '✅ improvement',
+};
+
+function formatRow(row) {
+  const digits = row.stat === 'rate' ? 4 : 2;
+  const change = row.absolute
+    ? `${row.change >= 0 ? '+' : ''}${(row.change * 100).toFixed(2)}pp`
+    : `${row.change >= 0 ? '+' : ''}${(row.change * 100).toFixed(2)}%`;
+  const pValue = row.pValue === undefined ? '' : row.pValue.toFixed(4);
+  return `    ${row.stat.padEnd(8)}${row.baseline.toFixed(digits).padStart(12)}${row.candidate.toFixed(digits).padStart(12)}` +
+    `${change.padStart(11)}${pValue.padStart(10)}   ${STATUS_LABELS[row.status]}`;
+}
+
+async function main() {
+  const run = {
+    baseline: await collectRun(baselineFile),
+    candidate: await collectRun(candidateFile),
+  };
+
+  console.log('\n===== K6 Run Comparison =====\n');
+  console.log(`Baseline:  ${baselineFile}`);
+  console.log(`Candidate: ${candidateFile}\n`);
+
+  let regressions = 0;
+  let improvements = 0;
+
+  run.baseline.breakdowns.forEach((baseBreakdown, index) => {
+    const candBreakdown = run.candidate.breakdowns[index];
+    console.log(`----- ${baseBreakdown.label} -----\n`);
+
+    COMPARED_METRICS.forEach(metricName => {
+      const baseSeries = new Map(baseBreakdown.series(metricName));
+      const candSeries = new Map(candBreakdown.series(metricName));
+      const seriesKeys = [...new Set([...baseSeries.keys(), ...candSeries.keys()])];
+      if (seriesKeys.length === 0) return;
+
+      console.log(metricName);
+      console.log(`    ${'Stat'.padEnd(8)}${'Baseline'.padStart(12)}${'Candidate'.padStart(12)}${'Change'.padStart(11)}${'p-value'.padStart(10)}`);
+      seriesKeys.forEach(seriesKey => {
+        const base = baseSeries.get(seriesKey);
+        const cand = candSeries.get(seriesKey);
+        console.log(`  ${seriesKey}`);
+
+        if (!base || !cand) {
+          console.log(`    only in ${base ? 'baseline' : 'candidate'}`);
+          return;
+        }
+
+        const rows = base.type === 'rate' ? compareRate(metricName, base, cand) : compareTrend(base, cand, run);
+        rows.forEach(row => {
+          console.log(formatRow(row));
+          if (row.status === 'regression') regressions++;
+          if (row.status === 'improvement') improvements++;
+        });
+      });
+      console.log('');
+    });
+  });
+
+  console.log(`Improvements: ${improvements}`);
+  if (regressions === 0) {
+    console.log('✅ PASSED: No regressions detected');
+    process.exit(SUCCESS);
+  } else {
+    console.log(`❌ FAILED: ${regressions} regression(s) detected`);
+    process.exit(FAILURE);
+  }
+}
+
+main().catch(err => {
+  console.error('Error reading or parsing the files:', err);
+  process.exit(FAILURE);
+});
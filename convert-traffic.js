@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Convert recorded traffic into sessions for replay-test.js
+ *
+ * Usage:
+ * node convert-traffic.js <recording.har | access.log> [options]
+ *
+ * Options:
+ *   --out FILE               Replay file to write (default: data/replay.json)
+ *   --format har|log         Input format (default: har for .har and JSON files, log otherwise)
+ *   --host HOST              With a HAR file, keep only requests to this host, e.g. dummyjson.com
+ *   --exclude REGEX          Leave out matching paths (default: static assets such as .js, .css, .png)
+ *   --auth-paths REGEX       Paths that need a logged-in user, for access logs, which don't
+ *                            record headers, e.g. "^/(auth/me|carts)"
+ *   --session-gap DURATION   Silence that ends a client's session in an access log (default: 30m)
+ *
+ * A HAR file (saved from the browser's network tab) becomes one session. The
+ * common and combined access log formats are split into sessions per client
+ * address and user agent. Paths are kept as recorded and tagged with their URL
+ * template, /products/12 as /products/:id, so the replayed requests group like
+ * the scripted ones. Recorded tokens and passwords are not written out: logins
+ * are replayed with the user pool, and the recorded user's ID becomes {userId}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readHar, readAccessLog, buildSessions, replayFile } = require('./lib/traffic');
+const { parseDuration } = require('./lib/profiles');
+
+// Exit codes
+const SUCCESS = 0;
+const FAILURE = 1;
+
+const DEFAULT_OUT = path.join(__dirname, 'data', 'replay.json');
+
+// URL templates listed in the summary
+const MAX_TEMPLATES = 10;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string', default: DEFAULT_OUT },
+    format: { type: 'string' },
+    host: { type: 'string' },
+    exclude: { type: 'string' },
+    'auth-paths': { type: 'string' },
+    'session-gap': { type: 'string', default: '30m' },
+  },
+});
+
+if (positionals.length === 0) {
+  console.error('Please provide a HAR file or an access log');
+  console.error('Usage: node convert-traffic.js recording.har [--out data/replay.json] [--host dummyjson.com]');
+  process.exit(FAILURE);
+}
+
+const inputFile = positionals[0];
+
+function detectFormat(file) {
+  if (options.format) {
+    if (!['har', 'log'].includes(options.format)) {
+      throw new Error(`Unknown --format "${options.format}". Use har or log`);
+    }
+    return options.format;
+  }
+  return /\.(har|json)$/i.test(file) ? 'har' : 'log';
+}
+
+function readRequests(format) {
+  if (format === 'har') {
+    return { requests: readHar(inputFile, { host: options.host }), skipped: 0 };
+  }
+  return readAccessLog(inputFile);
+}
+
+function printSummary(sessions, dropped, skipped) {
+  const requests = sessions.flatMap(session => session.requests);
+  const byName = new Map();
+  requests.forEach(request => {
+    const key = `${request.method} ${request.name}`;
+    byName.set(key, (byName.get(key) || 0) + 1);
+  });
+
+  console.log('\n===== Converted Traffic =====\n');
+  console.log(`Sessions: ${sessions.length} (${sessions.filter(session => session.login).length} logged in)`);
+  console.log(`Requests: ${requests.length}`);
+  console.log(`Left out: ${dropped.auth} login/refresh, ${dropped.excluded} excluded${skipped > 0 ? `, ${skipped} unreadable line(s)` : ''}`);
+
+  const longest = Math.max(...sessions.map(session => session.requests[session.requests.length - 1].offset));
+  console.log(`Longest session: ${(longest / 1000).toFixed(1)}s`);
+
+  console.log('\nRequests by URL template:');
+  [...byName.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TEMPLATES)
+    .forEach(([name, count]) => console.log(`  ${String(count).padStart(6)}  ${name}`));
+  if (byName.size > MAX_TEMPLATES) {
+    console.log(`  ... and ${byName.size - MAX_TEMPLATES} more`);
+  }
+}
+
+async function main() {
+  const sessionGap = parseDuration(options['session-gap']) * 1000;
+  if (!(sessionGap > 0)) {
+    throw new Error('--session-gap must be a duration such as 30m');
+  }
+
+  const format = detectFormat(inputFile);
+  const { requests, skipped } = readRequests(format);
+  const { sessions, dropped } = buildSessions(requests, {
+    exclude: options.exclude ? new RegExp(options.exclude) : undefined,
+    authPaths: options['auth-paths'] ? new RegExp(options['auth-paths']) : undefined,
+    sessionGap,
+  });
+
+  if (sessions.length === 0) {
+    console.error(`❌ No requests to replay in ${inputFile}${skipped > 0 ? ` (${skipped} line(s) were not in common or combined log format)` : ''}`);
+    return FAILURE;
+  }
+
+  printSummary(sessions, dropped, skipped);
+  fs.writeFileSync(options.out, `${JSON.stringify(replayFile(path.basename(inputFile), sessions), null, 2)}\n`);
+  const out = options.out === DEFAULT_OUT ? path.relative(process.cwd(), DEFAULT_OUT) : options.out;
+  console.log(`\n✅ Wrote ${out}; replay it with k6 run -e REPLAY_FILE=${out} replay-test.js`);
+  return SUCCESS;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(err => {
+    console.error('Error converting the traffic:', err);
+    process.exit(FAILURE);
+  });
@@ -1,256 +1,133 @@
-import http from 'k6/http';
-import { check, sleep, group } from 'k6';
-import { randomIntBetween } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
-import { Counter } from 'k6/metrics';
+import { loadProfile } from './shared/profiles.js';
+import { loadUsers, loadCatalog, userPicker } from './shared/data.js';
+import { loadEnvironment, userOptions, enforceEnvironment, mergeThresholds } from './shared/environments.js';
+import { buildScenarios } from './shared/workload.js';
+import { createClient } from './shared/api.js';
+import { createSessions } from './shared/session.js';
+import { createSteps } from './shared/flows.js';
+import { loadPacing, createPacing } from './shared/pacing.js';
+import { summaryOutputs, SUMMARY_TREND_STATS } from './shared/summary.js';
 
-// Custom metrics
-const productViewsCounter = new Counter('product_views');
-const cartAddCounter = new Counter('cart_adds');
-const searchesCounter = new Counter('searches');
-const checkoutCounter = new Counter('checkouts');
+// Target environment - base URL, credentials, allowed profiles, thresholds and
+// limits from environments.json. Select one with -e ENV=local-mock|dev|staging|prod-like
+const ENVIRONMENT = loadEnvironment(__ENV.ENV, (path) => open(path));
+
+// Load profile - stages and thresholds come from profiles.json (default: load).
+// Select another one with -e PROFILE=smoke|load|stress|spike|soak|breakpoint|ci
+const PROFILE = loadProfile(__ENV.PROFILE, (path) => open(path));
+
+// Workload profile - the scenarios to run and the traffic mix within the flows.
+// Select another profile with -e WORKLOAD=./workloads/my-profile.json
+const WORKLOAD = JSON.parse(open(__ENV.WORKLOAD || './workloads/default.json'));
 
 // Test configuration with more detailed options
 export const options = {
-  stages: [
-    { duration: '2m', target: 10 },   // Ramp-up to 10 users over 2 minutes
-    { duration: '5m', target: 50 },   // Steady at 50 users for 5 minutes
-    { duration: '2m', target: 100 },  // Spike test to 100 users over 2 minutes
-    { duration: '2m', target: 0 },    // Ramp-down to 0 users over 2 minutes
-  ],
-  thresholds: {
-    http_req_duration: ['p(95)<500'],   // 95% of requests must complete below 500ms
-    http_req_failed: ['rate<0.1'],      // Error rate must be less than 10%
+  scenarios: buildScenarios(WORKLOAD, PROFILE),
+  thresholds: mergeThresholds(Object.assign({
     'checks{type:login}': ['rate>0.9'], // 90% of login checks must pass
     'checks{type:products}': ['rate>0.9'], // 90% of product checks must pass
     'checks{type:cart}': ['rate>0.9'],  // 90% of cart checks must pass
-  },
+    schema_violations: ['rate<0.01'], // under 1% of validated responses may break their contract
+    journey_duration: ['p(95)<5000'], // 95% of journeys spend under 5s waiting on the API
+    checkout_duration: ['p(95)<2000'], // 95% of completed checkouts take under 2s
+  }, PROFILE.thresholds), ENVIRONMENT),
+  summaryTrendStats: SUMMARY_TREND_STATS,
 };
 
-// Base URL for the API
-const BASE_URL = 'https://dummyjson.com';
+// Refuse profiles the environment doesn't allow and scenarios above its limits
+enforceEnvironment(ENVIRONMENT, PROFILE.name, options);
+
+// Base URL for the API from the environment - override with -e BASE_URL=http://localhost:3000
+// to target the local mock server
+const BASE_URL = __ENV.BASE_URL || ENVIRONMENT.baseUrl;
+
+// User pool from the environment's users file (default: ./data/users.csv) - override
+// with -e USERS_FILE=path (CSV or JSON), or -e TEST_USERNAME/-e TEST_PASSWORD.
+// USER_DISTRIBUTION picks how users are spread over the VUs: round-robin
+// (default), unique or random.
+const USERS = loadUsers((path) => open(path), userOptions(ENVIRONMENT, __ENV));
+const nextUser = userPicker(USERS, __ENV.USER_DISTRIBUTION);
+
+// Categories, search terms and product ID range - override with -e CATALOG_FILE=path
+const CATALOG = loadCatalog((path) => open(path), __ENV.CATALOG_FILE);
 
-// User credentials pool - for a more realistic test scenario
-const USER_POOL = [
-  { username: 'emilys', password: 'emilyspass', id: 1 },
-  // Add more users if available...
-];
+// Response contracts are checked for the share given by -e SCHEMA_SAMPLE_RATE (default 1, all)
+const api = createClient(BASE_URL, { schemaSampleRate: Number(__ENV.SCHEMA_SAMPLE_RATE || 1) });
 
-// Product categories for more varied testing
-const PRODUCT_CATEGORIES = ['smartphones', 'laptops', 'fragrances', 'skincare', 'groceries', 'home-decoration'];
+// Each VU logs in once per user and refreshes tokens before they expire.
+// -e SESSION_MODE=pool logs all users in during setup() instead.
+const sessions = createSessions({
+  api,
+  nextUser,
+  expiresInMins: Number(__ENV.TOKEN_EXPIRES_MINS) || 30,
+});
 
-// Search terms for variety in search requests
-const SEARCH_TERMS = ['phone', 'laptop', 'watch', 'perfume', 'furniture', 'food'];
+// Think times between the steps - override with -e PACING_FILE=path, scale them
+// with -e THINK_TIME_SCALE (0 for none) or pace iterations with -e ITERATION_PACING=20s
+const pacing = createPacing(loadPacing((path) => open(path), __ENV));
 
-// Helper function to select random item from an array
-function getRandomItem(array) {
-  return array[Math.floor(Math.random() * array.length)];
+// Flow steps, with the traffic mix from the workload profile
+const steps = createSteps({ api, sessions, catalog: CATALOG, mix: WORKLOAD.mix, pacing });
+
+// Log every user in up front when SESSION_MODE=pool, sharing the tokens with the VUs
+export function setup() {
+  return __ENV.SESSION_MODE === 'pool' ? { tokens: sessions.createPool(USERS) } : {};
 }
 
-// Login function to get authentication token
-function login() {
-  const user = getRandomItem(USER_POOL);
-  
-  const loginPayload = JSON.stringify({
-    username: user.username,
-    password: user.password,
-    expiresInMins: 30,
-  });
-  
-  const loginResponse = http.post(`${BASE_URL}/auth/login`, loginPayload, {
-    headers: { 'Content-Type': 'application/json' },
-    tags: { type: 'login' },
-  });
-  
-  check(loginResponse, {
-    'login status 200': (r) => r.status === 200,
-    'has access token': (r) => JSON.parse(r.body).accessToken !== undefined,
-  }, { type: 'login' });
-  
-  // Return user info and token if login is successful
-  if (loginResponse.status === 200) {
-    const responseBody = JSON.parse(loginResponse.body);
-    return { 
-      token: responseBody.accessToken, 
-      userId: responseBody.id,
-      username: responseBody.username
-    };
-  } else {
-    console.error(`Login failed: ${loginResponse.status} ${loginResponse.body}`);
-    return { token: null, userId: user.id, username: user.username };
-  }
+// Anonymous visitors browsing and searching the catalog, without auth headers
+export function browserFlow() {
+  pacing.startIteration();
+  steps.browseProducts();
+  steps.viewProductDetails();
+  steps.finishJourney();
+  pacing.endIteration();
 }
 
-// Main test scenario
-export default function() {
-  // Step 1: Login and get user information
-  const userSession = login();
-  
-  // Set up authentication headers
-  const authHeaders = {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${userSession.token}`,
-  };
-  
-  // Add a small pause after login to simulate user behavior
-  sleep(randomIntBetween(1, 2));
-  
-  // Step 2: Browse products with various patterns
-  group('Browse Products', function() {
-    // Either browse all products or a specific category
-    let productsUrl;
-    if (Math.random() > 0.5) {
-      productsUrl = `${BASE_URL}/products?limit=20&skip=${randomIntBetween(0, 5) * 20}`;
-    } else {
-      const category = getRandomItem(PRODUCT_CATEGORIES);
-      productsUrl = `${BASE_URL}/products/category/${category}`;
-    }
-    
-    const productsResponse = http.get(productsUrl, {
-      headers: authHeaders,
-      tags: { type: 'products' },
-    });
-    
-    check(productsResponse, {
-      'products status 200': (r) => r.status === 200,
-      'products data valid': (r) => JSON.parse(r.body).products?.length > 0,
-    }, { type: 'products' });
-    
-    sleep(randomIntBetween(1, 3));
-    
-    // Search for products (50% of the time)
-    if (Math.random() > 0.5) {
-      const searchTerm = getRandomItem(SEARCH_TERMS);
-      const searchResponse = http.get(`${BASE_URL}/products/search?q=${searchTerm}`, {
-        headers: authHeaders,
-        tags: { type: 'search' },
-      });
-      
-      check(searchResponse, {
-        'search status 200': (r) => r.status === 200,
-      }, { type: 'products' });
-      
-      searchesCounter.add(1);
-      sleep(randomIntBetween(1, 2));
-    }
-  });
-  
-  // Step 3: Get specific product details
-  let selectedProduct = null;
-  group('Product Details', function() {
-    // Get details of a random product 
-    const productId = randomIntBetween(1, 100);
-    const productResponse = http.get(`${BASE_URL}/products/${productId}`, {
-      headers: authHeaders,
-      tags: { type: 'product_detail' },
-    });
-    
-    check(productResponse, {
-      'product detail status 200': (r) => r.status === 200,
-      'product detail has id': (r) => JSON.parse(r.body).id !== undefined,
-    }, { type: 'products' });
-    
-    if (productResponse.status === 200) {
-      selectedProduct = JSON.parse(productResponse.body);
-      productViewsCounter.add(1);
-    }
-    
-    sleep(randomIntBetween(2, 4));
-  });
-  
-  // Step 4: Add to cart (only if we have a valid product)
+// Logged-in shoppers browsing, filling their cart and sometimes checking out
+export function shopperFlow(data) {
+  pacing.startIteration();
+  const session = steps.startSession(data);
+
+  steps.browseProducts(session.headers);
+  const selectedProduct = steps.viewProductDetails(session.headers);
+
+  // Add to cart (only if we have a valid product)
   if (selectedProduct) {
-    group('Cart Operations', function() {
-      // Add the selected product to cart
-      const quantity = randomIntBetween(1, 3);
-      
-      const addToCartPayload = JSON.stringify({
-        userId: userSession.userId,
-        products: [
-          {
-            id: selectedProduct.id,
-            quantity: quantity,
-          },
-        ],
-      });
-      
-      const addToCartResponse = http.post(`${BASE_URL}/carts/add`, addToCartPayload, {
-        headers: authHeaders,
-        tags: { type: 'cart' },
-      });
-      
-      check(addToCartResponse, {
-        'add to cart status 200': (r) => r.status === 200,
-        'cart contains products': (r) => JSON.parse(r.body).products?.length > 0,
-      }, { type: 'cart' });
-      
-      cartAddCounter.add(1);
-      sleep(randomIntBetween(1, 3));
-      
-      // View cart contents
-      const cartResponse = http.get(`${BASE_URL}/carts/user/${userSession.userId}`, {
-        headers: authHeaders,
-        tags: { type: 'cart' },
-      });
-      
-      check(cartResponse, {
-        'view cart status 200': (r) => r.status === 200,
-      }, { type: 'cart' });
-      
-      sleep(randomIntBetween(1, 2));
-    });
+    steps.addToCart(session, selectedProduct);
+  }
+
+  // A share of the users whose cart has reached minCartItems proceed to checkout
+  if (selectedProduct && Math.random() < steps.mix.checkoutRatio) {
+    steps.checkoutCart(session);
   }
-  
-  // Step 5: Checkout (70% of users with items in cart proceed to checkout)
-  if (selectedProduct && Math.random() < 0.7) {
-    group('Checkout Process', function() {
-      // Simulate checkout process
-      // Note: DummyJSON doesn't have a direct checkout endpoint, so we'll simulate it
-      
-      // First, get the user's cart
-      const cartResponse = http.get(`${BASE_URL}/carts/user/${userSession.userId}`, {
-        headers: authHeaders,
-        tags: { type: 'checkout' },
-      });
-      
-      let cartItems = [];
-      if (cartResponse.status === 200) {
-        const cartData = JSON.parse(cartResponse.body);
-        if (cartData.carts && cartData.carts.length > 0) {
-          cartItems = cartData.carts[0].products || [];
-        }
-      }
-      
-      // Simulate an order creation (this endpoint doesn't really exist in DummyJSON)
-      // Using POST to products as a stand-in for demonstration purposes
-      if (cartItems.length > 0) {
-        const orderPayload = JSON.stringify({
-          userId: userSession.userId,
-          products: cartItems,
-          totalAmount: cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-          shippingAddress: "123 Test Street",
-          paymentMethod: "Credit Card"
-        });
-        
-        // This is a simulation
-        const checkoutResponse = http.post(`${BASE_URL}/carts`, orderPayload, {
-          headers: authHeaders,
-          tags: { type: 'checkout' },
-        });
-        
-        check(checkoutResponse, {
-          'checkout process completed': (r) => r.status < 500, // Just checking it doesn't completely fail
-        }, { type: 'checkout' });
-        
-        checkoutCounter.add(1);
-        
-        // After successful checkout, cart would typically be cleared
-        // but DummyJSON doesn't have this endpoint
-      }
-      
-      sleep(randomIntBetween(2, 5));
-    });
+  steps.finishJourney();
+
+  // Pause to simulate the user session ending, then wait out the iteration pacing
+  pacing.think('session_end');
+  pacing.endIteration();
+}
+
+// Returning customers going straight from a product to the cart, checking out once it is full enough
+export function checkoutFlow(data) {
+  pacing.startIteration();
+  const session = steps.startSession(data);
+
+  const selectedProduct = steps.viewProductDetails(session.headers);
+  if (selectedProduct) {
+    steps.addToCart(session, selectedProduct);
+    steps.checkoutCart(session);
   }
-  
-  // Final sleep to simulate end of user session
-  sleep(randomIntBetween(1, 3));
+  steps.finishJourney();
+  pacing.endIteration();
+}
+
+// Used when the scenarios are replaced from the command line, e.g. k6 run --vus 5 --duration 30s
+export default function(data) {
+  shopperFlow(data);
+}
+
+// End-of-test reports from k6's aggregated results: JSON summary, text and JUnit
+// (written to dummyjson-advanced-test-k6-*, or -e SUMMARY_PREFIX=path/name)
+export function handleSummary(data) {
+  return summaryOutputs(data, 'dummyjson-advanced-test');
 }
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Export k6 results to Prometheus, as OpenMetrics text or via remote-write
+ *
+ * Usage:
+ * node export-metrics.js <results.json> [options]
+ *
+ * Options:
+ *   --out FILE               Write OpenMetrics text to FILE, "-" for stdout (the default
+ *                            when neither --url nor --listen is given)
+ *   --url URL                Push to a Prometheus remote-write endpoint, e.g.
+ *                            http://localhost:9090/api/v1/write
+ *   --header "NAME: VALUE"   Extra header for remote-write requests (repeatable)
+ *   --follow                 Tail the file while k6 is writing it and export live
+ *   --listen PORT            With --follow, serve the current values on :PORT/metrics
+ *   --interval DURATION      Time between snapshots (default: 10s)
+ *   --idle-timeout DURATION  With --follow, stop once the file stops growing for this long (default: 60s)
+ *   --labels NAME=VALUE,...  Labels added to every series, e.g. run=nightly,env=staging
+ *   --tags LIST              k6 tags exported as labels (default: type,group,status,method,name)
+ *   --prefix PREFIX          Metric name prefix (default: k6_)
+ *
+ * Converting a finished run takes a snapshot per interval of test time, so the
+ * exported series show the run as it happened, with the timestamps k6 recorded.
+ * The OpenMetrics file can be backfilled with promtool tsdb
+ * create-blocks-from openmetrics. In --follow mode snapshots are taken every
+ * interval of wall-clock time instead: pushed with the current time, rewritten
+ * to --out, or served on --listen for Prometheus to scrape.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+const { readEntries, followEntries } = require('./lib/ndjson-reader');
+const { MetricRegistry, renderOpenMetrics, OpenMetricsSpool, toTimeSeries, sampleCount, DEFAULT_LABEL_TAGS } = require('./lib/openmetrics');
+const { pushTimeSeries } = require('./lib/remote-write');
+const { parseDuration } = require('./lib/profiles');
+
+// Exit codes
+const SUCCESS = 0;
+const FAILURE = 1;
+
+// Samples per remote-write request when pushing a converted run
+const MAX_SAMPLES_PER_REQUEST = 10000;
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string' },
+    url: { type: 'string' },
+    header: { type: 'string', multiple: true, default: [] },
+    follow: { type: 'boolean', default: false },
+    listen: { type: 'string' },
+    interval: { type: 'string', default: '10s' },
+    'idle-timeout': { type: 'string', default: '60s' },
+    labels: { type: 'string', default: '' },
+    tags: { type: 'string', default: DEFAULT_LABEL_TAGS.join(',') },
+    prefix: { type: 'string', default: 'k6_' },
+  },
+});
+
+if (positionals.length === 0) {
+  console.error('Please provide a k6 JSON results file');
+  console.error('Usage: node export-metrics.js results.json [--out metrics.om | --url URL] [--follow]');
+  process.exit(FAILURE);
+}
+
+// Milliseconds of a duration option, NaN when it isn't a duration
+function durationMs(value) {
+  try {
+    return parseDuration(value) * 1000;
+  } catch (err) {
+    return NaN;
+  }
+}
+
+const filePath = positionals[0];
+const intervalMs = durationMs(options.interval);
+const idleTimeoutMs = durationMs(options['idle-timeout']);
+
+if (!(intervalMs > 0) || !(idleTimeoutMs > 0)) {
+  console.error('--interval and --idle-timeout must be durations such as 10s or 1m');
+  process.exit(FAILURE);
+}
+if (options.listen && !options.follow) {
+  console.error('--listen serves live values, so it needs --follow');
+  process.exit(FAILURE);
+}
+
+// OpenMetrics goes to stdout unless it is sent somewhere else
+const outFile = options.out || (options.url || options.listen ? null : '-');
+
+// Keep progress messages off stdout when the metrics go there
+const log = outFile === '-' ? console.error : console.log;
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseLabels(value) {
+  const labels = {};
+  parseList(value).forEach(pair => {
+    const [name, ...rest] = pair.split('=');
+    if (!name || rest.length === 0) {
+      throw new Error(`Invalid label "${pair}", expected NAME=VALUE`);
+    }
+    labels[name.trim()] = rest.join('=').trim();
+  });
+  return labels;
+}
+
+function parseHeaders(values) {
+  const headers = {};
+  values.forEach(header => {
+    const separator = header.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Invalid header "${header}", expected "NAME: VALUE"`);
+    }
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+function writeOutput(text) {
+  if (outFile === '-') {
+    process.stdout.write(text);
+    return;
+  }
+  // Write next to the target and rename, so a reader never sees a partial file
+  const tempFile = `${outFile}.tmp`;
+  fs.writeFileSync(tempFile, text);
+  fs.renameSync(tempFile, outFile);
+}
+
+// Push snapshots as they are taken, in as few requests as the per-request
+// sample limit allows
+function createPusher(headers) {
+  let batch = [];
+  let batchSamples = 0;
+  let requests = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await pushTimeSeries(options.url, toTimeSeries(batch), { headers });
+    requests++;
+    batch = [];
+    batchSamples = 0;
+  };
+
+  return {
+    async add(snapshot) {
+      const samples = sampleCount(snapshot);
+      if (batchSamples > 0 && batchSamples + samples > MAX_SAMPLES_PER_REQUEST) {
+        await flush();
+      }
+      batch.push(snapshot);
+      batchSamples += samples;
+    },
+
+    // Push what is left, returning the number of requests made
+    async finish() {
+      await flush();
+      return requests;
+    },
+  };
+}
+
+// Write text handed over in chunks to --out, through a temporary file like writeOutput()
+function writeOutputChunks(produce) {
+  if (outFile === '-') {
+    produce(chunk => process.stdout.write(chunk));
+    return;
+  }
+  const tempFile = `${outFile}.tmp`;
+  const handle = fs.openSync(tempFile, 'w');
+  try {
+    produce(chunk => fs.writeSync(handle, chunk));
+  } finally {
+    fs.closeSync(handle);
+  }
+  fs.renameSync(tempFile, outFile);
+}
+
+// Export a finished run, snapshotting every interval of test time. Each
+// snapshot is spooled and pushed as it is taken, so memory stays flat however
+// long the run was.
+async function convert(registry, headers) {
+  const spool = outFile ? new OpenMetricsSpool() : null;
+  const pusher = options.url ? createPusher(headers) : null;
+  let nextSnapshot;
+  let snapshotCount = 0;
+
+  const handOn = async (snapshots) => {
+    for (const snapshot of snapshots) {
+      snapshotCount++;
+      if (spool) spool.add(snapshot);
+      if (pusher) await pusher.add(snapshot);
+    }
+  };
+
+  let stats;
+  try {
+    stats = await readEntries(filePath, entry => {
+      const taken = [];
+      if (entry.type === 'Point') {
+        const time = Date.parse(entry.data.time);
+        if (nextSnapshot === undefined) {
+          nextSnapshot = time + intervalMs;
+        }
+        // Points are written roughly in time order; snapshot before the first point past each boundary
+        while (time >= nextSnapshot) {
+          taken.push({ timestamp: nextSnapshot, families: registry.collect() });
+          nextSnapshot += intervalMs;
+        }
+      }
+      registry.add(entry);
+      // Reading waits for the pushes, so unsent snapshots don't pile up
+      return taken.length > 0 ? handOn(taken) : undefined;
+    });
+
+    if (registry.lastTime === undefined) {
+      log('⚠️  No metric points found in the results file');
+      if (spool) spool.remove();
+      return FAILURE;
+    }
+    await handOn([{ timestamp: registry.lastTime, families: registry.collect() }]);
+  } catch (err) {
+    if (spool) spool.remove();
+    throw err;
+  }
+  log(`Read ${stats.points} points from ${stats.lines} lines${stats.invalid ? ` (${stats.invalid} invalid lines skipped)` : ''}`);
+
+  if (spool) {
+    writeOutputChunks(write => spool.finish(write));
+    if (outFile !== '-') {
+      log(`✅ Wrote ${snapshotCount} snapshots of ${registry.families.size} metrics to ${outFile}`);
+    }
+  }
+  if (pusher) {
+    const requests = await pusher.finish();
+    log(`✅ Pushed ${snapshotCount} snapshots of ${registry.families.size} metrics to ${options.url} in ${requests} requests`);
+  }
+  return SUCCESS;
+}
+
+// Export live while k6 writes the file, until it stops growing or on Ctrl+C
+async function follow(registry, headers) {
+  if (outFile === '-') {
+    throw new Error('--follow needs somewhere to export to: --out FILE, --url or --listen');
+  }
+
+  const follower = followEntries(filePath, entry => registry.add(entry), { idleTimeout: idleTimeoutMs });
+  process.on('SIGINT', () => follower.stop());
+  process.on('SIGTERM', () => follower.stop());
+
+  let server = null;
+  if (options.listen) {
+    server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found, metrics are served on /metrics\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': OPENMETRICS_CONTENT_TYPE });
+      res.end(renderOpenMetrics([{ timestamp: null, families: registry.collect() }]));
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(Number(options.listen), resolve);
+    });
+    log(`Serving metrics on http://localhost:${options.listen}/metrics`);
+  }
+
+  let failedPushes = 0;
+  const exportSnapshot = async () => {
+    if (registry.families.size === 0) return;
+    const families = registry.collect();
+    if (outFile) {
+      writeOutput(renderOpenMetrics([{ timestamp: null, families }]));
+    }
+    if (options.url) {
+      try {
+        await pushTimeSeries(options.url, toTimeSeries([{ timestamp: Date.now(), families }]), { headers });
+      } catch (err) {
+        // Keep following; the next push sends the cumulative values again
+        failedPushes++;
+        log(`⚠️  ${err.message}`);
+      }
+    }
+  };
+
+  log(`Following ${filePath} (stops after ${options['idle-timeout']} without new data or on Ctrl+C)`);
+
+  // Chain the exports so a slow push never overlaps the next one
+  let exporting = Promise.resolve();
+  const timer = setInterval(() => {
+    exporting = exporting.then(exportSnapshot);
+  }, intervalMs);
+
+  const stats = await follower.done;
+  clearInterval(timer);
+  await exporting;
+  await exportSnapshot();
+  if (server) {
+    server.close();
+  }
+
+  log(`Read ${stats.points} points from ${stats.lines} lines${stats.invalid ? ` (${stats.invalid} invalid lines skipped)` : ''}`);
+  if (failedPushes > 0) {
+    log(`❌ ${failedPushes} remote-write pushes failed`);
+    return FAILURE;
+  }
+  log(`✅ Exported ${registry.families.size} metrics`);
+  return SUCCESS;
+}
+
+async function main() {
+  const registry = new MetricRegistry({
+    prefix: options.prefix,
+    labelTags: parseList(options.tags),
+    constLabels: parseLabels(options.labels),
+  });
+  const headers = parseHeaders(options.header);
+
+  const exitCode = options.follow ? await follow(registry, headers) : await convert(registry, headers);
+  process.exit(exitCode);
+}
+
+main().catch(err => {
+  console.error('Error exporting metrics:', err);
+  process.exit(FAILURE);
+});
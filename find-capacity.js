@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Find the highest sustainable throughput from a breakpoint-test.js run
+ *
+ * Usage:
+ * node find-capacity.js <results.json> [options]
+ *
+ * Options:
+ *   --config FILE            Capacity config with the SLO (default: breakpoint-config.json)
+ *   --p95 MS                 p95 latency limit per step, instead of the config's slo.p95
+ *   --error-rate RATE        Error rate limit per step, instead of the config's slo.errorRate
+ *   --max-dropped RATE       Share of iterations k6 may drop in a step (default: 0.05)
+ *   --follow                 Read the results while k6 is writing them, judging each step as it ends
+ *   --idle-timeout DURATION  With --follow, stop once the file stops growing for this long (default: 60s)
+ *
+ * breakpoint-test.js raises the arrival rate in steps and tags every request
+ * with the step's target rate. Each held step is judged on its own: its p95
+ * latency and error rate must stay below the SLO, and k6 must have been able
+ * to start (nearly) all iterations, as dropped ones mean the load generator
+ * ran out of VUs and the rate was not actually offered. The capacity is the
+ * last step that held before the first one that did not.
+ *
+ * Exit code: 0 when a sustainable step was found, 1 when even the first step
+ * breached the SLO or there were no steps in the results.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readPoints, followEntries } = require('./lib/ndjson-reader');
+const { CapacitySteps, findCapacity, breaches } = require('./lib/capacity');
+const { parseDuration } = require('./lib/profiles');
+
+// Exit codes
+const SUCCESS = 0;
+const FAILURE = 1;
+
+const DEFAULT_CONFIG = path.join(__dirname, 'breakpoint-config.json');
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    config: { type: 'string', default: DEFAULT_CONFIG },
+    p95: { type: 'string' },
+    'error-rate': { type: 'string' },
+    'max-dropped': { type: 'string', default: '0.05' },
+    follow: { type: 'boolean', default: false },
+    'idle-timeout': { type: 'string', default: '60s' },
+  },
+});
+
+if (positionals.length < 1) {
+  console.error('Please provide the path to the k6 JSON results of breakpoint-test.js');
+  console.error('Usage: node find-capacity.js results.json [--p95 500] [--error-rate 0.1] [--follow]');
+  process.exit(FAILURE);
+}
+
+const filePath = positionals[0];
+
+function loadSlo() {
+  const config = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+  return {
+    p95: options.p95 !== undefined ? Number(options.p95) : config.slo.p95,
+    errorRate: options['error-rate'] !== undefined ? Number(options['error-rate']) : config.slo.errorRate,
+    maxDropped: Number(options['max-dropped']),
+  };
+}
+
+function formatValue(value, digits = 2) {
+  return value === undefined ? 'N/A' : value.toFixed(digits);
+}
+
+function formatPercent(rate) {
+  return rate === undefined ? 'N/A' : `${(rate * 100).toFixed(2)}%`;
+}
+
+const COLUMNS = ['Target it/s', 'it/s', 'req/s', 'p95 ms', 'Errors', 'Dropped'];
+
+function printHeader() {
+  console.log(`   ${COLUMNS.map(c => c.padStart(12)).join('')}`);
+}
+
+function printStep(step, reasons) {
+  const values = [
+    String(step.rate),
+    formatValue(step.iterationRate),
+    formatValue(step.requestRate),
+    formatValue(step.p95),
+    formatPercent(step.errorRate),
+    String(step.dropped),
+  ];
+  const icon = reasons.length === 0 ? '✅' : '❌';
+  console.log(`${icon} ${values.map(v => v.padStart(12)).join('')}${reasons.length > 0 ? `  ${reasons.join(', ')}` : ''}`);
+}
+
+// Read the whole file, or follow it while k6 writes it, reporting steps as they end
+async function collectSteps(slo) {
+  if (!options.follow) {
+    const capacity = new CapacitySteps();
+    await readPoints(filePath, point => capacity.add(point));
+    return capacity.steps();
+  }
+
+  const idleTimeout = parseDuration(options['idle-timeout']) * 1000;
+  if (!(idleTimeout > 0)) {
+    throw new Error('--idle-timeout must be a duration such as 60s or 2m');
+  }
+
+  console.log(`Following ${filePath} (stops after ${options['idle-timeout']} without new data or on Ctrl+C)\n`);
+  printHeader();
+  const capacity = new CapacitySteps({ onStepDone: step => printStep(step, breaches(step, slo)) });
+  const follower = followEntries(filePath, entry => {
+    if (entry.type === 'Point') capacity.add(entry);
+  }, { idleTimeout });
+  process.on('SIGINT', () => follower.stop());
+  process.on('SIGTERM', () => follower.stop());
+  await follower.done;
+  console.log('');
+  return capacity.steps();
+}
+
+async function main() {
+  const slo = loadSlo();
+  const steps = await collectSteps(slo);
+
+  console.log('\n===== Capacity by Step =====\n');
+  console.log(`SLO per step: p95 < ${slo.p95}ms, errors < ${formatPercent(slo.errorRate)}, dropped iterations ≤ ${formatPercent(slo.maxDropped)}\n`);
+
+  if (steps.length === 0) {
+    console.log('❌ No held steps in the results; they must come from breakpoint-test.js, which tags requests with target_rate and phase');
+    return FAILURE;
+  }
+
+  const { steps: judged, sustainable, breaking } = findCapacity(steps, slo);
+  printHeader();
+  judged.forEach(step => printStep(step, step.breaches));
+  console.log('');
+
+  if (!sustainable) {
+    console.log(`❌ The SLO was breached at the first step (${breaking.rate} it/s); start lower with -e START_RATE`);
+    return FAILURE;
+  }
+
+  console.log(`Highest sustainable throughput: ${sustainable.rate} iterations/s`
+    + ` (${formatValue(sustainable.requestRate)} req/s, p95 ${formatValue(sustainable.p95)}ms)`);
+  if (breaking) {
+    console.log(`SLO breached at ${breaking.rate} iterations/s: ${breaking.breaches.join(', ')}`);
+  } else {
+    console.log('⚠️  The SLO held at every step, so the limit is higher; raise -e STEPS or -e RATE_STEP');
+  }
+  return SUCCESS;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(err => {
+    console.error('Error finding the capacity:', err);
+    process.exit(FAILURE);
+  });
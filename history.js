@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Show performance trends across recorded runs and detect gradual drift
+ *
+ * Usage:
+ * node history.js [options]
+ *
+ * Options:
+ *   --file FILE            Run history written by analyze-results.js (default: results/history.jsonl)
+ *   --last N               Runs shown and used for drift detection per script and profile (default: 20)
+ *   --script NAME          Only runs of this script
+ *   --profile NAME         Only runs of this load profile
+ *   --max-drift PCT        Allowed trend increase of p95/p99 latency and decrease of throughput, in percent (default: 10)
+ *   --max-rate-drift RATE  Allowed trend increase of the failed request rate and decrease of the check rate (default: 0.01)
+ *   --min-runs N           Runs needed before drift is judged (default: 5)
+ *   --fail-on-drift        Exit with 1 when drift is detected
+ *
+ * Runs are grouped by script and profile. Drift is measured on a least-squares
+ * line through the last N runs rather than between two runs, so a slow creep
+ * of a few percent per build is caught while a single noisy run is not.
+ */
+
+const { parseArgs } = require('util');
+const { DEFAULT_HISTORY_FILE, readHistory, runGroup, trend } = require('./lib/history');
+
+// Exit codes
+const SUCCESS = 0;
+const FAILURE = 1;
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+const { values: options } = parseArgs({
+  options: {
+    file: { type: 'string', default: DEFAULT_HISTORY_FILE },
+    last: { type: 'string', default: '20' },
+    script: { type: 'string' },
+    profile: { type: 'string' },
+    'max-drift': { type: 'string', default: '10' },
+    'max-rate-drift': { type: 'string', default: '0.01' },
+    'min-runs': { type: 'string', default: '5' },
+    'fail-on-drift': { type: 'boolean', default: false },
+  },
+});
+
+const LIMITS = {
+  last: Number(options.last),
+  maxDrift: Number(options['max-drift']) / 100,
+  maxRateDrift: Number(options['max-rate-drift']),
+  minRuns: Number(options['min-runs']),
+};
+
+// Metrics judged for drift: relative ones compare the trend's change in
+// percent, absolute ones (rates) the difference of its ends
+const DRIFT_METRICS = [
+  { label: 'p95 latency', unit: 'ms', value: run => run.latency?.p95, worse: 'up', relative: true },
+  { label: 'p99 latency', unit: 'ms', value: run => run.latency?.p99, worse: 'up', relative: true },
+  { label: 'throughput', unit: 'req/s', value: run => run.rps, worse: 'down', relative: true },
+  { label: 'failed request rate', unit: '%', value: run => run.failedRate, worse: 'up', relative: false },
+  { label: 'check rate', unit: '%', value: run => run.checkRate, worse: 'down', relative: false },
+];
+
+function formatValue(value, unit) {
+  if (value === undefined || value === null) return 'N/A';
+  return unit === '%' ? `${(value * 100).toFixed(2)}%` : `${value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+}
+
+function formatDate(iso) {
+  return iso ? iso.slice(0, 16).replace('T', ' ') : '-';
+}
+
+function sparkline(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return '';
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  return values.map(value => {
+    if (typeof value !== 'number') return ' ';
+    const level = max > min ? Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1)) : 0;
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+function printRuns(runs) {
+  const columns = ['Reqs', 'RPS', 'p50', 'p95', 'p99', 'Failed %', 'Checks %'];
+  console.log(`  ${'Started'.padEnd(17)}${'Commit'.padEnd(10)}${columns.map(c => c.padStart(10)).join('')}`);
+  runs.forEach(run => {
+    const values = [
+      String(run.requests ?? '-'),
+      formatValue(run.rps, ''),
+      formatValue(run.latency?.p50, ''),
+      formatValue(run.latency?.p95, ''),
+      formatValue(run.latency?.p99, ''),
+      formatValue(run.failedRate, '%'),
+      formatValue(run.checkRate, '%'),
+    ];
+    const commit = run.commit ? run.commit.slice(0, 7) : '-';
+    console.log(`  ${formatDate(run.startedAt).padEnd(17)}${commit.padEnd(10)}${values.map(v => v.padStart(10)).join('')}`);
+  });
+  console.log('');
+}
+
+function printTagTrends(runs) {
+  const tag = runs[runs.length - 1].tag || 'type';
+  const values = [...new Set(runs.flatMap(run => Object.keys(run.tags || {})))].sort();
+  if (values.length === 0) return;
+
+  const width = Math.max(6, ...values.map(value => value.length));
+  console.log(`p95 latency by ${tag} (oldest → newest)`);
+  values.forEach(value => {
+    const series = runs.map(run => run.tags?.[value]?.p95);
+    const known = series.filter(p95 => typeof p95 === 'number');
+    const change = known.length > 1 && known[0] > 0 ? (known[known.length - 1] - known[0]) / known[0] : undefined;
+    const summary = known.length > 0
+      ? `${formatValue(known[0], '')} → ${formatValue(known[known.length - 1], 'ms')}${change !== undefined ? ` (${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%)` : ''}`
+      : 'N/A';
+    console.log(`  ${value.padEnd(width)}  ${sparkline(series).padEnd(runs.length)}  ${summary}`);
+  });
+  console.log('');
+}
+
+// Judge one metric's trend, returning { label, drifted, text }
+function judgeDrift(metric, runs) {
+  const fitted = trend(runs.map(metric.value));
+  if (!fitted) {
+    return { label: metric.label, drifted: false, text: 'not enough data' };
+  }
+
+  const direction = metric.worse === 'up' ? 1 : -1;
+  let drift;
+  let limit;
+  let detail;
+  if (metric.relative) {
+    drift = (fitted.change ?? 0) * direction;
+    limit = LIMITS.maxDrift;
+    detail = `${fitted.change >= 0 ? '+' : ''}${((fitted.change ?? 0) * 100).toFixed(1)}%, limit ${(limit * 100).toFixed(0)}%`;
+  } else {
+    drift = (fitted.last - fitted.first) * direction;
+    limit = LIMITS.maxRateDrift;
+    detail = `${fitted.last >= fitted.first ? '+' : ''}${((fitted.last - fitted.first) * 100).toFixed(2)} points, limit ${(limit * 100).toFixed(2)}`;
+  }
+
+  const drifted = drift > limit;
+  const trendText = `${formatValue(fitted.first, metric.unit)} → ${formatValue(fitted.last, metric.unit)} (${detail})`;
+  return {
+    label: metric.label,
+    drifted,
+    text: drifted ? `drifting ${metric.worse}: ${trendText}` : `stable: ${trendText}`,
+  };
+}
+
+function printDrift(runs) {
+  if (runs.length < LIMITS.minRuns) {
+    console.log(`Drift: needs at least ${LIMITS.minRuns} runs, ${runs.length} recorded\n`);
+    return [];
+  }
+
+  const tag = runs[runs.length - 1].tag || 'type';
+  const tagValues = [...new Set(runs.flatMap(run => Object.keys(run.tags || {})))].sort();
+  const metrics = DRIFT_METRICS.concat(tagValues.map(value => ({
+    label: `p95 latency ${tag}=${value}`,
+    unit: 'ms',
+    value: run => run.tags?.[value]?.p95,
+    worse: 'up',
+    relative: true,
+  })));
+
+  console.log(`Drift over the last ${runs.length} runs (least-squares trend):`);
+  const results = metrics.map(metric => judgeDrift(metric, runs));
+  results.forEach(result => {
+    console.log(`  ${result.drifted ? '❌' : '✅'} ${result.label} ${result.text}`);
+  });
+  console.log('');
+  return results.filter(result => result.drifted);
+}
+
+function main() {
+  const runs = readHistory(options.file)
+    .filter(run => !options.script || run.script === options.script)
+    .filter(run => !options.profile || run.profile === options.profile);
+
+  if (runs.length === 0) {
+    console.log(`No runs recorded in ${options.file}${options.script || options.profile ? ' for the given filters' : ''}`);
+    console.log('Runs are recorded by: node analyze-results.js results.json --profile NAME --script FILE');
+    return SUCCESS;
+  }
+
+  const groups = new Map();
+  runs.forEach(run => {
+    const group = runGroup(run);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(run);
+  });
+
+  console.log('\n===== Run History =====\n');
+
+  let drifted = 0;
+  groups.forEach((groupRuns, label) => {
+    const recent = groupRuns
+      .slice()
+      .sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0))
+      .slice(-LIMITS.last);
+    console.log(`${label} – ${groupRuns.length} runs${groupRuns.length > recent.length ? `, last ${recent.length} shown` : ''}\n`);
+
+    printRuns(recent);
+    printTagTrends(recent);
+    drifted += printDrift(recent).length;
+  });
+
+  if (drifted > 0) {
+    console.log(`⚠️  ${drifted} metric(s) drifting beyond the limits`);
+    return options['fail-on-drift'] ? FAILURE : SUCCESS;
+  }
+  return SUCCESS;
+}
+
+try {
+  process.exit(main());
+} catch (err) {
+  console.error('Error reading the run history:', err);
+  process.exit(FAILURE);
+}
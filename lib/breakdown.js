@@ -0,0 +1,89 @@
+/**
+ * Per-tag breakdown of selected metrics
+ *
+ * A breakdown splits points by the values of one or more tag keys, e.g. by the
+ * `type` tag the advanced script puts on each request or by the `group` k6 adds
+ * for group() blocks. Tags such as `name` can have many distinct values, so the
+ * number of series per metric is capped and the remainder is folded into an
+ * "(other)" series to keep memory bounded.
+ */
+
+const { MetricStats } = require('./metrics');
+
+// Metrics broken down when no explicit list is given
+const DEFAULT_BREAKDOWN_METRICS = ['http_req_duration', 'http_req_failed', 'checks'];
+
+// Tag keys broken down when --group-by is not given
+const DEFAULT_GROUP_BY = ['type', 'group', 'name', 'status'];
+
+const MAX_SERIES = 50;
+const MISSING_TAG = '(none)';
+const OTHER_SERIES = '(other)';
+const ALL_SERIES = '(all)';
+
+class Breakdown {
+  /**
+   * @param {string[]} keys - tag keys whose combined values identify a series;
+   *   no keys gives a single series per metric
+   * @param {string[]} metricNames - metrics to break down
+   * @param {Object} [options]
+   * @param {number} [options.maxSeries] - series kept per metric before folding into "(other)"
+   * @param {number} [options.sampleSize] - keep a raw value sample per series (see MetricStats)
+   */
+  constructor(keys, metricNames = DEFAULT_BREAKDOWN_METRICS, options = {}) {
+    this.keys = keys;
+    this.metricNames = metricNames;
+    this.maxSeries = options.maxSeries || MAX_SERIES;
+    this.sampleSize = options.sampleSize;
+    this.metrics = {};
+  }
+
+  get label() {
+    return this.keys.length > 0 ? this.keys.join(' + ') : ALL_SERIES;
+  }
+
+  add(point, type) {
+    if (!this.metricNames.includes(point.metric)) return;
+
+    const tags = point.data.tags || {};
+    const seriesKey = this.keys.length > 0 ? this.keys.map(key => tags[key] || MISSING_TAG).join(' / ') : ALL_SERIES;
+
+    if (!this.metrics[point.metric]) {
+      this.metrics[point.metric] = new Map();
+    }
+    const series = this.metrics[point.metric];
+
+    let stats = series.get(seriesKey);
+    if (!stats) {
+      const key = series.size < this.maxSeries ? seriesKey : OTHER_SERIES;
+      stats = series.get(key) || new MetricStats(type, { sampleSize: this.sampleSize });
+      series.set(key, stats);
+    }
+    stats.add(point.data.value);
+  }
+
+  /**
+   * Series of a metric as [seriesKey, MetricStats] pairs, busiest first
+   */
+  series(metricName) {
+    const series = this.metrics[metricName];
+    if (!series) return [];
+    return [...series.entries()].sort((a, b) => b[1].count - a[1].count);
+  }
+}
+
+/**
+ * Turn --group-by values into breakdowns. Comma-separated keys produce one
+ * breakdown each, while keys joined with "+" are combined into a single one
+ * (e.g. "type+status").
+ */
+function createBreakdowns(groupBy, metricNames, options) {
+  const specs = groupBy && groupBy.length > 0 ? groupBy : DEFAULT_GROUP_BY;
+  return specs
+    .flatMap(spec => spec.split(','))
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(spec => new Breakdown(spec.split('+').map(key => key.trim()), metricNames, options));
+}
+
+module.exports = { Breakdown, createBreakdowns, DEFAULT_BREAKDOWN_METRICS, DEFAULT_GROUP_BY };
@@ -0,0 +1,154 @@
+/**
+ * Per-step statistics of a stepped arrival-rate run (breakpoint-test.js)
+ *
+ * shared/capacity.js tags every request with the target_rate of the step it
+ * is sent in and whether the step is ramping or held. Only the hold is
+ * judged, as the ramp mixes two rates. Iterations carry the tags of the step
+ * they started in, but end when their last think time does, so only requests
+ * mark when a step started and ended. dropped_iterations, which k6 records
+ * when it has no VU free to start an iteration, carries no VU tags, so it is
+ * assigned to steps by time.
+ */
+
+const { MetricStats } = require('./metrics');
+
+const RATE_TAG = 'target_rate';
+const PHASE_TAG = 'phase';
+const HOLD_PHASE = 'hold';
+
+function newStep(rate) {
+  return {
+    rate,
+    start: Infinity,
+    end: -Infinity,
+    requests: 0,
+    iterations: 0,
+    duration: new MetricStats('trend'),
+    failed: new MetricStats('rate'),
+  };
+}
+
+class CapacitySteps {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onStepDone] - called with a step when the next
+   *   one starts, for following a run that is still going
+   */
+  constructor(options = {}) {
+    this.onStepDone = options.onStepDone;
+    this.byRate = new Map();
+    this.current = null;
+    // dropped_iterations per second since the epoch
+    this.dropped = new Map();
+  }
+
+  add(point) {
+    const time = Date.parse(point.data.time);
+    const tags = point.data.tags || {};
+
+    if (point.metric === 'dropped_iterations') {
+      const second = Math.floor(time / 1000);
+      this.dropped.set(second, (this.dropped.get(second) || 0) + point.data.value);
+      return;
+    }
+    if (tags[PHASE_TAG] !== HOLD_PHASE || tags[RATE_TAG] === undefined) return;
+
+    const rate = Number(tags[RATE_TAG]);
+    let step = this.byRate.get(rate);
+    if (!step) {
+      step = newStep(rate);
+      this.byRate.set(rate, step);
+    }
+    if (point.metric !== 'iterations') {
+      step.start = Math.min(step.start, time);
+      step.end = Math.max(step.end, time);
+    }
+
+    switch (point.metric) {
+      case 'http_reqs':
+        step.requests += point.data.value;
+        break;
+      case 'iterations':
+        step.iterations += point.data.value;
+        break;
+      case 'http_req_duration':
+        step.duration.add(point.data.value);
+        break;
+      case 'http_req_failed':
+        step.failed.add(point.data.value);
+        break;
+      default:
+        break;
+    }
+
+    if (!this.current || rate > this.current.rate) {
+      if (this.current && this.onStepDone) {
+        this.onStepDone(this.summarize(this.current));
+      }
+      this.current = step;
+    }
+  }
+
+  // Achieved rates, p95, error rate and dropped iterations of a step
+  summarize(step) {
+    const seconds = step.end > step.start ? (step.end - step.start) / 1000 : 0;
+    let dropped = 0;
+    this.dropped.forEach((count, second) => {
+      if (second * 1000 >= step.start && second * 1000 <= step.end) dropped += count;
+    });
+    return {
+      rate: step.rate,
+      seconds,
+      iterationRate: seconds > 0 ? step.iterations / seconds : 0,
+      requestRate: seconds > 0 ? step.requests / seconds : 0,
+      p95: step.duration.percentile(95),
+      errorRate: step.failed.count > 0 ? step.failed.rate : undefined,
+      dropped,
+      droppedRate: step.iterations + dropped > 0 ? dropped / (step.iterations + dropped) : 0,
+    };
+  }
+
+  /**
+   * Held steps in rate order, as summarize() describes them
+   */
+  steps() {
+    return [...this.byRate.values()].sort((a, b) => a.rate - b.rate).map(step => this.summarize(step));
+  }
+}
+
+/**
+ * Reasons a step breaches the slo { p95, errorRate, maxDropped }, empty when it held
+ */
+function breaches(step, slo) {
+  const reasons = [];
+  if (step.p95 === undefined || step.p95 >= slo.p95) {
+    reasons.push(step.p95 === undefined ? 'no latency data' : `p95 ${step.p95.toFixed(0)}ms ≥ ${slo.p95}ms`);
+  }
+  if (step.errorRate !== undefined && step.errorRate >= slo.errorRate) {
+    reasons.push(`errors ${(step.errorRate * 100).toFixed(2)}% ≥ ${(slo.errorRate * 100).toFixed(2)}%`);
+  }
+  if (step.droppedRate > slo.maxDropped) {
+    reasons.push(`${(step.droppedRate * 100).toFixed(1)}% of iterations dropped`);
+  }
+  return reasons;
+}
+
+/**
+ * Judge the steps against the SLO. The capacity is the last step that held
+ * before the first one that breached it; steps after a breach do not count,
+ * even if they happen to pass.
+ * Returns { steps: [{ ...step, breaches }], sustainable, breaking } where
+ * sustainable and breaking are steps or null.
+ */
+function findCapacity(steps, slo) {
+  const judged = steps.map(step => ({ ...step, breaches: breaches(step, slo) }));
+  const breakingIndex = judged.findIndex(step => step.breaches.length > 0);
+  const held = breakingIndex === -1 ? judged : judged.slice(0, breakingIndex);
+  return {
+    steps: judged,
+    sustainable: held.length > 0 ? held[held.length - 1] : null,
+    breaking: breakingIndex === -1 ? null : judged[breakingIndex],
+  };
+}
+
+module.exports = { CapacitySteps, findCapacity, breaches, RATE_TAG, PHASE_TAG };
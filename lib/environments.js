@@ -0,0 +1,113 @@
+/**
+ * Node-side access to the target environments in environments.json
+ *
+ * The same file shared/environments.js reads inside k6 when a script runs
+ * with -e ENV=<name>, so the analyzer and the validator apply the thresholds
+ * the scripts do. loadEnvironment(), peakVUs() and environmentViolations()
+ * work as they do in shared/environments.js, so run-tests.js refuses the runs
+ * the scripts would refuse before starting k6; test/parity.test.js checks
+ * that the two copies agree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENVIRONMENTS_FILE = path.join(__dirname, '..', 'environments.json');
+
+const DEFAULT_BASE_URL = 'https://dummyjson.com';
+
+const CREDENTIAL_SOURCES = ['file', 'env'];
+
+function readEnvironments() {
+  return JSON.parse(fs.readFileSync(ENVIRONMENTS_FILE, 'utf8'));
+}
+
+function environmentNames() {
+  return Object.keys(readEnvironments());
+}
+
+/**
+ * Load an environment as { name, baseUrl, credentials, profiles, thresholds, limits }
+ */
+function loadEnvironment(name) {
+  const environment = readEnvironments()[name];
+  if (!environment) {
+    throw new Error(`Unknown environment "${name}". Available environments: ${environmentNames().join(', ')}`);
+  }
+  const credentials = environment.credentials || { source: 'file' };
+  if (!CREDENTIAL_SOURCES.includes(credentials.source)) {
+    throw new Error(`Environment "${name}" has unknown credentials source "${credentials.source}". Use ${CREDENTIAL_SOURCES.join(' or ')}`);
+  }
+  return {
+    name,
+    baseUrl: environment.baseUrl || DEFAULT_BASE_URL,
+    credentials,
+    profiles: environment.profiles || null,
+    thresholds: environment.thresholds || {},
+    limits: environment.limits || {},
+  };
+}
+
+// The expression of a threshold given as a string or as { threshold, abortOnFail }
+function thresholdSource(expression) {
+  return typeof expression === 'string' ? expression : expression.threshold;
+}
+
+/**
+ * The given thresholds with the environment's added. For a metric both name,
+ * the expressions of both apply, so an environment never removes a profile's
+ * threshold (such as breakpoint's abortOnFail ones). shared/environments.js merges the same way for the
+ * scripts.
+ */
+function mergeThresholds(thresholds, environment) {
+  const merged = { ...thresholds };
+  Object.entries(environment.thresholds).forEach(([metric, expressions]) => {
+    const existing = merged[metric] || [];
+    const sources = existing.map(thresholdSource);
+    merged[metric] = existing.concat(expressions.filter(expression => !sources.includes(thresholdSource(expression))));
+  });
+  return merged;
+}
+
+// Most VUs a scenario can run at once
+function scenarioVUs(scenario) {
+  if (scenario.executor.includes('arrival-rate')) {
+    return scenario.maxVUs || scenario.preAllocatedVUs || 0;
+  }
+  if (scenario.stages) {
+    return Math.max(scenario.startVUs || 0, ...scenario.stages.map(stage => stage.target));
+  }
+  return scenario.vus || 1;
+}
+
+/**
+ * Most VUs a script's options can run at once, counting all scenarios as if
+ * they overlapped
+ */
+function peakVUs(options) {
+  if (options.scenarios) {
+    return Object.values(options.scenarios).reduce((sum, scenario) => sum + scenarioVUs(scenario), 0);
+  }
+  if (options.stages) {
+    return Math.max(0, ...options.stages.map(stage => stage.target));
+  }
+  return options.vus || 1;
+}
+
+/**
+ * Reasons the environment refuses a script's options under the named
+ * profile, empty when it allows them
+ */
+function environmentViolations(environment, profileName, options) {
+  const reasons = [];
+  if (environment.profiles && !environment.profiles.includes(profileName)) {
+    reasons.push(`Profile "${profileName}" is not allowed on ${environment.name}. Allowed profiles: ${environment.profiles.join(', ')}`);
+  }
+  const vus = peakVUs(options);
+  if (environment.limits.maxVUs !== undefined && vus > environment.limits.maxVUs) {
+    reasons.push(`The test can reach ${vus} VUs, above the limit of ${environment.limits.maxVUs} for ${environment.name}`);
+  }
+  return reasons;
+}
+
+module.exports = { loadEnvironment, environmentNames, mergeThresholds, peakVUs, environmentViolations };
@@ -0,0 +1,126 @@
+/**
+ * Failure classification and failed-request samples
+ *
+ * shared/errors.js counts every failure in the errors counter, tagged with a
+ * category (timeout, connection, http_4xx, http_5xx, check, json_parse) and
+ * depending on it the status code, check name and request type. Breakdowns of
+ * that counter give the totals per category and what is behind each one.
+ *
+ * The first failures of each VU are also logged by the scripts as
+ * FAILURE_SAMPLE lines. k6 --console-output writes those in logfmt, with the
+ * JSON sample escaped in msg="..."; a plain "FAILURE_SAMPLE {...}" line, as
+ * printed without k6's log formatting, is read as well.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { Breakdown } = require('./breakdown');
+
+const ERRORS_METRIC = 'errors';
+
+const FAILURE_SAMPLE_MARKER = 'FAILURE_SAMPLE';
+
+// Categories in report order; the first four are failed requests
+const ERROR_CATEGORIES = ['timeout', 'connection', 'http_4xx', 'http_5xx', 'json_parse', 'check'];
+const REQUEST_CATEGORIES = ['timeout', 'connection', 'http_4xx', 'http_5xx'];
+
+// Tag that tells a category's failures apart
+const DETAIL_TAGS = { http_4xx: 'code', http_5xx: 'code', check: 'check' };
+const DEFAULT_DETAIL_TAG = 'type';
+
+// Detail values listed per category
+const MAX_DETAILS = 5;
+
+class ErrorClassification {
+  constructor() {
+    this.byCategory = new Breakdown(['category'], [ERRORS_METRIC]);
+    this.byDetail = {};
+    ['code', 'check', 'type'].forEach(key => {
+      this.byDetail[key] = new Breakdown(['category', key], [ERRORS_METRIC]);
+    });
+  }
+
+  add(point, type) {
+    if (point.metric !== ERRORS_METRIC) return;
+    this.byCategory.add(point, type);
+    Object.values(this.byDetail).forEach(breakdown => breakdown.add(point, type));
+  }
+
+  /**
+   * Failures per category, known categories first:
+   * [{ category, count, detailTag, details: [[value, count]] }]
+   * where details are the busiest values of the category's detail tag.
+   */
+  report() {
+    const counts = new Map(this.byCategory.series(ERRORS_METRIC).map(([category, stats]) => [category, stats.sum]));
+    const categories = ERROR_CATEGORIES.filter(category => counts.has(category))
+      .concat([...counts.keys()].filter(category => !ERROR_CATEGORIES.includes(category)));
+
+    return categories.map(category => {
+      const detailTag = DETAIL_TAGS[category] || DEFAULT_DETAIL_TAG;
+      const prefix = `${category} / `;
+      const details = this.byDetail[detailTag].series(ERRORS_METRIC)
+        .filter(([label]) => label.startsWith(prefix))
+        .map(([label, stats]) => [label.slice(prefix.length), stats.sum])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_DETAILS);
+      return { category, count: counts.get(category), detailTag, details };
+    });
+  }
+}
+
+// The sample JSON in a console line, or null when the line holds none
+function parseSampleLine(line) {
+  const quoted = line.match(/msg="((?:[^"\\]|\\.)*)"/);
+  let message = line;
+  if (quoted) {
+    try {
+      message = JSON.parse(`"${quoted[1]}"`);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const start = message.indexOf(`${FAILURE_SAMPLE_MARKER} `);
+  if (start === -1) return null;
+  try {
+    return JSON.parse(message.slice(start + FAILURE_SAMPLE_MARKER.length + 1));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read the failure samples from a k6 console log, other lines are ignored.
+ * Resolves with { total, byCategory, byRequest, samples }, where the counts are
+ * Maps of value → samples and samples holds the first `limit` of them.
+ */
+async function readFailureSamples(filePath, { limit = 10 } = {}) {
+  const result = { total: 0, byCategory: new Map(), byRequest: new Map(), samples: [] };
+  const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    const sample = parseSampleLine(line);
+    if (!sample) continue;
+
+    result.total++;
+    count(result.byCategory, sample.check ? `${sample.category}: ${sample.check}` : sample.category);
+    if (sample.url) {
+      // The name tag groups URLs with IDs in them, e.g. /products/:id
+      count(result.byRequest, `${sample.method || 'GET'} ${sample.name || sample.url.split('?')[0]}`);
+    }
+    if (result.samples.length < limit) {
+      result.samples.push(sample);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ErrorClassification,
+  readFailureSamples,
+  ERRORS_METRIC,
+  ERROR_CATEGORIES,
+  REQUEST_CATEGORIES,
+};
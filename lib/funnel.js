@@ -0,0 +1,77 @@
+/**
+ * Shopping journey funnel
+ *
+ * The flow steps count each stage of the journey (logins, browses,
+ * product_views, cart_adds, checkouts) and time it (<step>_duration). This
+ * collects those per k6 scenario and overall, and turns them into conversion
+ * ratios between consecutive stages and from the first one. Scenarios matter
+ * here: anonymous browsing has no login, so its browses would otherwise
+ * inflate login → browse in the overall funnel.
+ */
+
+const { Breakdown } = require('./breakdown');
+
+const FUNNEL_STAGES = [
+  { step: 'login', counter: 'logins', trend: 'login_duration' },
+  { step: 'browse', counter: 'browses', trend: 'browse_duration' },
+  { step: 'detail', counter: 'product_views', trend: 'detail_duration' },
+  { step: 'cart', counter: 'cart_adds', trend: 'cart_duration' },
+  { step: 'checkout', counter: 'checkouts', trend: 'checkout_duration' },
+];
+
+const JOURNEY_TREND = 'journey_duration';
+
+const FUNNEL_METRICS = FUNNEL_STAGES.flatMap(stage => [stage.counter, stage.trend]).concat(JOURNEY_TREND);
+
+function ratio(count, base) {
+  return base > 0 ? count / base : undefined;
+}
+
+class Funnel {
+  /**
+   * @param {string} [key] - tag splitting the funnel, k6's scenario tag by default
+   */
+  constructor(key = 'scenario') {
+    this.overall = new Breakdown([], FUNNEL_METRICS);
+    this.byKey = new Breakdown([key], FUNNEL_METRICS);
+  }
+
+  add(point, type) {
+    this.overall.add(point, type);
+    this.byKey.add(point, type);
+  }
+
+  /**
+   * Funnels with data, overall first and then one per tag value:
+   * [{ label, stages: [{ step, count, fromPrevious, fromStart, p95 }], journeyP95 }]
+   * Ratios are undefined when the stage they are relative to has no count.
+   */
+  reports() {
+    const labels = new Set();
+    FUNNEL_METRICS.forEach(metric => this.byKey.series(metric).forEach(([label]) => labels.add(label)));
+
+    const funnels = [{ label: 'all scenarios', breakdown: this.overall, series: '(all)' }]
+      .concat([...labels].sort().map(label => ({ label, breakdown: this.byKey, series: label })));
+
+    return funnels
+      .map(({ label, breakdown, series }) => {
+        const statsOf = (metric) => new Map(breakdown.series(metric)).get(series);
+        const counts = FUNNEL_STAGES.map(stage => statsOf(stage.counter)?.sum || 0);
+
+        return {
+          label,
+          stages: FUNNEL_STAGES.map((stage, index) => ({
+            step: stage.step,
+            count: counts[index],
+            fromPrevious: index > 0 ? ratio(counts[index], counts[index - 1]) : undefined,
+            fromStart: ratio(counts[index], counts[0]),
+            p95: statsOf(stage.trend)?.percentile(95),
+          })),
+          journeyP95: statsOf(JOURNEY_TREND)?.percentile(95),
+        };
+      })
+      .filter(funnel => funnel.stages.some(stage => stage.count > 0));
+  }
+}
+
+module.exports = { Funnel, FUNNEL_STAGES, JOURNEY_TREND };
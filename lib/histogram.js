@@ -0,0 +1,47 @@
+/**
+ * Log-scaled histogram of a single metric
+ *
+ * Bins are spaced evenly on a log scale, so both 5ms and 5s responses are
+ * resolved well with a fixed, small number of bins.
+ */
+
+const BINS_PER_DECADE = 10;
+const MIN_VALUE = 1;
+
+class Histogram {
+  constructor(metricName, binsPerDecade = BINS_PER_DECADE) {
+    this.metricName = metricName;
+    this.binsPerDecade = binsPerDecade;
+    this.counts = new Map();
+    this.total = 0;
+  }
+
+  add(point) {
+    if (point.metric !== this.metricName) return;
+    const value = Math.max(point.data.value, MIN_VALUE);
+    const index = Math.floor(Math.log10(value) * this.binsPerDecade);
+    this.counts.set(index, (this.counts.get(index) || 0) + 1);
+    this.total++;
+  }
+
+  /**
+   * Contiguous bins from the lowest to the highest populated one
+   */
+  bins() {
+    if (this.counts.size === 0) return [];
+    const indices = [...this.counts.keys()];
+    const first = Math.min(...indices);
+    const last = Math.max(...indices);
+    const bins = [];
+    for (let index = first; index <= last; index++) {
+      bins.push({
+        from: 10 ** (index / this.binsPerDecade),
+        to: 10 ** ((index + 1) / this.binsPerDecade),
+        count: this.counts.get(index) || 0,
+      });
+    }
+    return bins;
+  }
+}
+
+module.exports = { Histogram };
@@ -0,0 +1,186 @@
+/**
+ * Run history store
+ *
+ * Each analyzed run is summarized in one line of a JSON-lines file
+ * (results/history.jsonl by default): when it ran, the git commit, profile and
+ * script, overall latency percentiles, throughput, error and check rates, and
+ * percentiles per request type. Appending a line per run keeps the file easy
+ * to inspect, merge and archive as a CI artifact.
+ *
+ * Drift is judged per script and profile, since runs of different shapes are
+ * not comparable. A least-squares line through a metric over the recent runs
+ * shows gradual changes that no single run-to-run comparison would flag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_HISTORY_FILE = path.join('results', 'history.jsonl');
+
+// Bumped when the shape of a run summary changes
+const HISTORY_VERSION = 1;
+
+// Tag whose values get their own percentiles in the summary
+const HISTORY_TAG = 'type';
+
+// Latency percentiles kept per run
+const HISTORY_PERCENTILES = [50, 90, 95, 99];
+
+// Run the git command, returning its trimmed output or null outside a repository
+function git(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The commit and branch being tested, from git or the CI environment
+ */
+function gitInfo() {
+  return {
+    commit: git(['rev-parse', 'HEAD']) || process.env.GITHUB_SHA || null,
+    branch: git(['rev-parse', '--abbrev-ref', 'HEAD']) || process.env.GITHUB_REF_NAME || null,
+  };
+}
+
+function round(value, digits = 2) {
+  return value === undefined || Number.isNaN(value) ? null : Number(value.toFixed(digits));
+}
+
+function latencySummary(stats) {
+  if (!stats || stats.count === 0) return null;
+  const summary = { count: stats.count, avg: round(stats.avg), max: round(stats.max) };
+  HISTORY_PERCENTILES.forEach(p => {
+    summary[`p${p}`] = round(stats.percentile(p));
+  });
+  return summary;
+}
+
+/**
+ * Summarize an analyzed run for the history
+ *
+ * @param {Object} run
+ * @param {string} run.source - results file
+ * @param {Object} run.metrics - per-metric MetricStats from collectResults()
+ * @param {Object} run.timeRange - { start, end } in milliseconds
+ * @param {Object} run.errors - errorSummary() of the status codes
+ * @param {Breakdown} run.byTag - breakdown of http_req_duration and http_req_failed by HISTORY_TAG
+ * @param {Breakdown} run.checks - breakdown of checks by check name
+ * @param {Object[]} run.thresholdResults - ThresholdSet.evaluate() results
+ * @param {string} [run.profile] - load profile the run used
+ * @param {string} [run.script] - k6 script that produced the results
+ */
+function summarizeRun(run) {
+  const { metrics, timeRange, errors } = run;
+  const durationSeconds = Math.max((timeRange.end - timeRange.start) / 1000, 0);
+
+  const failed = new Map(run.byTag.series('http_req_failed'));
+  const tags = {};
+  run.byTag.series('http_req_duration').forEach(([value, stats]) => {
+    tags[value] = { ...latencySummary(stats), failedRate: round(failed.get(value)?.rate, 4) };
+  });
+
+  const checks = {};
+  run.checks.series('checks').forEach(([name, stats]) => {
+    checks[name] = round(stats.rate, 4);
+  });
+
+  const judged = run.thresholdResults.filter(result => !result.noData);
+
+  return {
+    version: HISTORY_VERSION,
+    recordedAt: new Date().toISOString(),
+    startedAt: new Date(timeRange.start).toISOString(),
+    durationSeconds: round(durationSeconds, 1),
+    source: run.source,
+    ...gitInfo(),
+    profile: run.profile || null,
+    script: run.script || null,
+    requests: errors.totalReqs,
+    rps: durationSeconds > 0 ? round(errors.totalReqs / durationSeconds) : null,
+    errorRate: round(errors.errorRate, 4),
+    failedRate: round(metrics.http_req_failed?.rate, 4),
+    checkRate: round(metrics.checks?.rate, 4),
+    latency: latencySummary(metrics.http_req_duration),
+    tag: HISTORY_TAG,
+    tags,
+    checks,
+    thresholds: { passed: judged.filter(result => result.passed).length, failed: judged.filter(result => !result.passed).length },
+  };
+}
+
+/**
+ * Read all runs from a history file, oldest first. A missing file is an empty
+ * history; unreadable lines are skipped.
+ */
+function readHistory(filePath = DEFAULT_HISTORY_FILE) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Append a run summary, unless a run from the same results file and start time
+ * is already recorded (e.g. when a file is analyzed twice). Returns whether it
+ * was appended.
+ */
+function appendRun(summary, filePath = DEFAULT_HISTORY_FILE) {
+  const duplicate = readHistory(filePath)
+    .some(run => run.startedAt === summary.startedAt && run.source === summary.source);
+  if (duplicate) return false;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(summary)}\n`);
+  return true;
+}
+
+/**
+ * Label of the group of comparable runs a run belongs to
+ */
+function runGroup(run) {
+  return `${run.script || 'unknown script'} · ${run.profile || 'unknown profile'}`;
+}
+
+/**
+ * Trend of a series of values (oldest first) from a least-squares line:
+ * { first, last, change } where first and last are the fitted values at the
+ * ends and change is last relative to first. Undefined for fewer than two values.
+ */
+function trend(values) {
+  const points = values.map((value, index) => [index, value]).filter(([, value]) => typeof value === 'number');
+  if (points.length < 2) return undefined;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+  const variance = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+  const slope = variance > 0 ? covariance / variance : 0;
+
+  const first = meanY + slope * (points[0][0] - meanX);
+  const last = meanY + slope * (points[n - 1][0] - meanX);
+  return { first, last, change: first !== 0 ? (last - first) / Math.abs(first) : undefined };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_FILE,
+  HISTORY_TAG,
+  HISTORY_PERCENTILES,
+  summarizeRun,
+  readHistory,
+  appendRun,
+  runGroup,
+  trend,
+};
@@ -0,0 +1,215 @@
+/**
+ * Self-contained HTML report for a k6 run
+ *
+ * Charts are rendered as inline SVG and styles are embedded, so the report is
+ * a single file that opens offline and can be attached as a CI artifact.
+ */
+
+const { formatActual } = require('./thresholds');
+
+// Counters k6 always emits; everything else of type counter is a custom metric
+const BUILTIN_COUNTERS = ['http_reqs', 'iterations', 'data_sent', 'data_received', 'dropped_iterations'];
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed'];
+
+const CHART = { width: 860, height: 220, left: 56, right: 16, top: 16, bottom: 28 };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value, digits = 2) {
+  return value === undefined || Number.isNaN(value) ? 'N/A' : value.toFixed(digits);
+}
+
+function formatOffset(seconds) {
+  // Round the total first, so 119.6s is 2:00 rather than 1:60
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Line chart of one or more series sharing the x axis (seconds from start)
+ *
+ * @param {{label: string, points: {x: number, y: number}[]}[]} series
+ */
+function lineChart(title, series, unit = '') {
+  const all = series.flatMap(s => s.points).filter(p => p.y !== undefined);
+  if (all.length === 0) return '';
+
+  const maxX = Math.max(...all.map(p => p.x), 1);
+  const maxY = Math.max(...all.map(p => p.y), 0) * 1.1 || 1;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = value => CHART.left + (value / maxX) * plotWidth;
+  const y = value => CHART.top + plotHeight - (value / maxY) * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const value = maxY * fraction;
+    return `<line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(value)}" y2="${y(value)}" class="grid"/>` +
+      `<text x="${CHART.left - 6}" y="${y(value) + 4}" text-anchor="end">${formatNumber(value, value < 10 ? 2 : 0)}${unit}</text>`;
+  }).join('');
+
+  const xLabels = [0, 0.25, 0.5, 0.75, 1].map(fraction =>
+    `<text x="${x(maxX * fraction)}" y="${CHART.height - 8}" text-anchor="middle">${formatOffset(maxX * fraction)}</text>`
+  ).join('');
+
+  const lines = series.map((s, i) => {
+    const path = s.points.filter(p => p.y !== undefined).map(p => `${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join(' ');
+    return `<polyline points="${path}" fill="none" stroke="${COLORS[i % COLORS.length]}" stroke-width="1.5"/>`;
+  }).join('');
+
+  const legend = series.map((s, i) =>
+    `<span class="legend"><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHtml(s.label)}</span>`
+  ).join('');
+
+  return `<section><h3>${escapeHtml(title)}</h3><div>${legend}</div>` +
+    `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img">${grid}${xLabels}${lines}</svg></section>`;
+}
+
+function histogramChart(title, bins) {
+  if (bins.length === 0) return '';
+
+  const maxCount = Math.max(...bins.map(b => b.count));
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const barWidth = plotWidth / bins.length;
+  const labelEvery = Math.ceil(bins.length / 10);
+
+  const bars = bins.map((bin, i) => {
+    const height = (bin.count / maxCount) * plotHeight;
+    const left = CHART.left + i * barWidth;
+    const label = i % labelEvery === 0
+      ? `<text x="${left}" y="${CHART.height - 8}">${formatNumber(bin.from, bin.from < 10 ? 1 : 0)}</text>`
+      : '';
+    return `<rect x="${left.toFixed(1)}" y="${(CHART.top + plotHeight - height).toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" ` +
+      `height="${height.toFixed(1)}" fill="${COLORS[0]}"><title>${formatNumber(bin.from)}–${formatNumber(bin.to)}ms: ${bin.count}</title></rect>${label}`;
+  }).join('');
+
+  return `<section><h3>${escapeHtml(title)}</h3><svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img">${bars}</svg></section>`;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="muted">No data</p>';
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function breakdownTables(breakdown) {
+  return breakdown.metricNames.map(metricName => {
+    const series = breakdown.series(metricName);
+    if (series.length === 0) return '';
+    const isRate = series[0][1].type === 'rate';
+    const rows = series.map(([label, stats]) => isRate
+      ? [label, stats.count, `${formatNumber(stats.rate * 100)}%`]
+      : [label, stats.count, formatNumber(stats.avg), formatNumber(stats.percentile(50)), formatNumber(stats.percentile(95)), formatNumber(stats.percentile(99)), formatNumber(stats.max)]);
+    const headers = isRate ? [breakdown.label, 'Count', 'Rate'] : [breakdown.label, 'Count', 'Avg', 'p50', 'p95', 'p99', 'Max'];
+    return `<h4>${escapeHtml(metricName)}</h4>${table(headers, rows)}`;
+  }).join('');
+}
+
+const STYLES = `
+body { font-family: -apple-system, system-ui, sans-serif; margin: 2rem auto; max-width: 920px; color: #111827; }
+h1 { margin-bottom: 0; } h2 { margin-top: 2.5rem; border-bottom: 1px solid #e5e7eb; }
+.muted { color: #6b7280; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 0.3rem 0.5rem; text-align: right; }
+th:first-child, td:first-child { text-align: left; word-break: break-all; }
+svg { width: 100%; height: auto; font-size: 11px; fill: #374151; }
+.grid { stroke: #e5e7eb; }
+.legend { margin-right: 1rem; font-size: 0.85rem; } .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+`;
+
+/**
+ * Render the full report
+ *
+ * @param {Object} report
+ * @param {string} report.source - results file the report was built from
+ * @param {Object} report.metrics - per-metric MetricStats
+ * @param {Object} report.statusCodes - HTTP status distribution
+ * @param {Timeline} report.timeline
+ * @param {Histogram} report.histogram - http_req_duration histogram
+ * @param {Breakdown[]} report.breakdowns - per-tag breakdowns
+ * @param {Breakdown} report.checks - checks broken down by check name
+ * @param {Object[]} report.thresholdResults - output of ThresholdSet.evaluate
+ * @param {Object[]} [report.funnels] - output of Funnel.reports
+ */
+function renderHtmlReport(report) {
+  const timeline = report.timeline.series();
+  const at = (key) => timeline.map(b => ({ x: b.offset, y: typeof key === 'function' ? key(b) : b[key] }));
+
+  const overview = Object.entries(report.metrics)
+    .filter(([, stats]) => stats.type === 'trend')
+    .map(([name, stats]) => [name, stats.count, formatNumber(stats.avg), formatNumber(stats.percentile(50)), formatNumber(stats.percentile(90)),
+      formatNumber(stats.percentile(95)), formatNumber(stats.percentile(99)), formatNumber(stats.max)]);
+
+  const thresholds = report.thresholdResults.map(result => [
+    `${result.selector}: ${result.expression.source}`,
+    formatActual(result),
+    result.noData ? 'no data' : result.passed ? 'passed' : 'failed',
+  ]);
+
+  const checks = report.checks.series('checks').map(([name, stats]) => [
+    name, stats.count, stats.nonZero, stats.count - stats.nonZero, `${formatNumber(stats.rate * 100)}%`,
+  ]);
+
+  const counters = Object.entries(report.metrics)
+    .filter(([name, stats]) => stats.type === 'counter' && !BUILTIN_COUNTERS.includes(name))
+    .map(([name, stats]) => [name, stats.sum]);
+
+  const statusCodes = Object.entries(report.statusCodes).map(([code, count]) => [code, count]);
+
+  const formatRatio = (ratio) => (ratio === undefined ? '-' : `${formatNumber(ratio * 100)}%`);
+  const funnels = (report.funnels || []).map(funnel => `<h3>${escapeHtml(funnel.label)}</h3>` +
+    table(['Step', 'Count', 'From previous', 'From start', 'p95 (ms)'], funnel.stages.map(stage => [
+      stage.step, stage.count, formatRatio(stage.fromPrevious), formatRatio(stage.fromStart), formatNumber(stage.p95),
+    ])) +
+    `<p class="muted">Journey p95 (active time): ${escapeHtml(formatNumber(funnel.journeyP95))} ms</p>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>k6 report – ${escapeHtml(report.source)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>K6 Performance Test Report</h1>
+<p class="muted">${escapeHtml(report.source)} · generated ${escapeHtml(new Date().toISOString())}</p>
+
+<h2>Thresholds</h2>
+${table(['Threshold', 'Actual', 'Result'], thresholds)}
+
+<h2>Over Time</h2>
+${lineChart('Virtual users', [{ label: 'VUs', points: at('vus') }])}
+${lineChart('Requests per second', [{ label: 'req/s', points: at('rps') }])}
+${lineChart('Response time', [50, 95, 99].map(p => ({ label: `p${p}`, points: at(b => b.duration.percentile(p)) })), 'ms')}
+${lineChart('Error rate', [{ label: 'http_req_failed', points: at(b => b.errorRate === undefined ? undefined : b.errorRate * 100) }], '%')}
+
+<h2>Latency Distribution</h2>
+${histogramChart('http_req_duration (ms, log scale)', report.histogram.bins())}
+${table(['Metric', 'Count', 'Avg', 'p50', 'p90', 'p95', 'p99', 'Max'], overview)}
+
+<h2>Checks</h2>
+${table(['Check', 'Total', 'Passed', 'Failed', 'Pass rate'], checks)}
+
+<h2>Business Counters</h2>
+${table(['Counter', 'Total'], counters)}
+${funnels ? `<h2>Journey Funnel</h2>\n${funnels}` : ''}
+
+<h2>HTTP Status Codes</h2>
+${table(['Status', 'Count'], statusCodes)}
+
+<h2>Breakdowns</h2>
+${report.breakdowns.map(breakdown => `<h3>By ${escapeHtml(breakdown.label)}</h3>${breakdownTables(breakdown)}`).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
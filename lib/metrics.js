@@ -0,0 +1,124 @@
+/**
+ * Bounded-memory aggregation of k6 metric points
+ *
+ * Each metric keeps running count/sum/min/max plus a t-digest, so memory use
+ * does not grow with the number of points in the results file.
+ */
+
+const { TDigest } = require('./tdigest');
+const { Reservoir } = require('./reservoir');
+const { readEntries } = require('./ndjson-reader');
+
+// Percentiles printed by the analysis scripts
+const REPORTED_PERCENTILES = [50, 90, 95, 99, 99.9];
+
+class MetricStats {
+  /**
+   * @param {string} type - k6 metric type (trend, rate, counter or gauge)
+   * @param {Object} [options]
+   * @param {number} [options.sampleSize] - also keep a random sample of this many raw values
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.nonZero = 0;
+    this.last = undefined;
+    this.digest = new TDigest();
+    this.sample = options.sampleSize ? new Reservoir(options.sampleSize) : null;
+  }
+
+  add(value) {
+    this.count++;
+    this.last = value;
+    this.sum += value;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+    if (value !== 0) this.nonZero++;
+    this.digest.add(value);
+    if (this.sample) this.sample.add(value);
+  }
+
+  merge(other) {
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this.nonZero += other.nonZero;
+    if (other.last !== undefined) this.last = other.last;
+    this.digest.merge(other.digest);
+    return this;
+  }
+
+  get avg() {
+    return this.count > 0 ? this.sum / this.count : undefined;
+  }
+
+  // Fraction of non-zero values, which is how k6 defines a Rate metric
+  get rate() {
+    return this.count > 0 ? this.nonZero / this.count : undefined;
+  }
+
+  percentile(p) {
+    return this.digest.quantile(p / 100);
+  }
+}
+
+/**
+ * Stream a results file into per-metric stats, the HTTP status distribution and
+ * the time range covered by the points. Each observer's add(point, type) is also
+ * called for every Point entry, which is how breakdowns and other per-point
+ * aggregations hook into the single pass.
+ */
+async function collectResults(filePath, observers = []) {
+  const metrics = {};
+  const metricTypes = {};
+  const statusCodes = {};
+  const timeRange = { start: Infinity, end: -Infinity };
+
+  const stats = await readEntries(filePath, entry => {
+    if (entry.type === 'Metric') {
+      metricTypes[entry.metric] = entry.data?.type;
+      return;
+    }
+    if (entry.type !== 'Point') return;
+
+    if (!metrics[entry.metric]) {
+      metrics[entry.metric] = new MetricStats(metricTypes[entry.metric]);
+    }
+    metrics[entry.metric].add(entry.data.value);
+
+    const time = Date.parse(entry.data.time);
+    if (time < timeRange.start) timeRange.start = time;
+    if (time > timeRange.end) timeRange.end = time;
+
+    if (entry.metric === 'http_reqs') {
+      const status = entry.data.tags?.status || 'unknown';
+      statusCodes[status] = (statusCodes[status] || 0) + 1;
+    }
+
+    observers.forEach(observer => observer.add(entry, metricTypes[entry.metric]));
+  });
+
+  return { metrics, statusCodes, stats, timeRange };
+}
+
+/**
+ * Error totals from a status code distribution, counting 4xx and 5xx as errors
+ */
+function errorSummary(statusCodes) {
+  const totalReqs = Object.values(statusCodes).reduce((sum, count) => sum + count, 0);
+  const errorReqs = Object.entries(statusCodes)
+    .filter(([code]) => code.startsWith('4') || code.startsWith('5'))
+    .reduce((sum, [_, count]) => sum + count, 0);
+
+  return {
+    totalReqs,
+    errorReqs,
+    errorRate: totalReqs > 0 ? errorReqs / totalReqs : 0,
+  };
+}
+
+module.exports = { MetricStats, REPORTED_PERCENTILES, collectResults, errorSummary };
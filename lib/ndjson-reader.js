@@ -0,0 +1,245 @@
+/**
+ * Streaming reader for k6 JSON output (k6 run --out json=results.json)
+ *
+ * The output is NDJSON (each line is a separate JSON object), so it is read line
+ * by line instead of loading the whole file. Files ending in .gz, as written by
+ * --out json=results.json.gz, are decompressed on the fly. followEntries() reads
+ * a file k6 is still writing, for live exports.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+
+// Bytes read per chunk when following a file
+const FOLLOW_CHUNK_SIZE = 1024 * 1024;
+
+// Bytes searched from the end of a file for its last point
+const TAIL_SIZE = 1024 * 1024;
+
+function openInput(filePath) {
+  const file = fs.createReadStream(filePath);
+  if (!filePath.endsWith('.gz')) {
+    return { input: file, streams: [file] };
+  }
+  const gunzip = zlib.createGunzip();
+  return { input: file.pipe(gunzip), streams: [file, gunzip] };
+}
+
+// Parse one line into stats and onEntry, the same way for read and follow
+function handleLine(line, stats, onEntry) {
+  stats.lines++;
+  if (!line.trim()) return;
+
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (err) {
+    stats.invalid++;
+    return;
+  }
+
+  if (entry.type === 'Point') {
+    stats.points++;
+  }
+  return onEntry(entry);
+}
+
+/**
+ * Call onEntry for every JSON object in the file. Blank lines are ignored and
+ * lines that are not valid JSON (e.g. a truncated last line from an aborted
+ * run) are counted rather than failing the whole read. When onEntry returns a
+ * promise, reading waits for it before the next line.
+ */
+async function readEntries(filePath, onEntry) {
+  const { input, streams } = openInput(filePath);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const stats = { lines: 0, points: 0, invalid: 0 };
+
+  let streamError = null;
+  streams.forEach(stream => stream.on('error', err => {
+    streamError = err;
+    lines.close();
+  }));
+
+  for await (const line of lines) {
+    const pending = handleLine(line, stats, onEntry);
+    if (pending) {
+      await pending;
+    }
+  }
+
+  if (streamError) {
+    throw streamError;
+  }
+  return stats;
+}
+
+/**
+ * Convenience wrapper that only passes Point entries to onPoint
+ */
+function readPoints(filePath, onPoint) {
+  return readEntries(filePath, entry => {
+    if (entry.type === 'Point') {
+      onPoint(entry);
+    }
+  });
+}
+
+/**
+ * Time in milliseconds of the last point in the file, found by reading its
+ * tail only, or null when there is none there. k6 writes points roughly in
+ * time order, so this is the end of the run. Not available for .gz files,
+ * which cannot be read from the end.
+ */
+function readLastPointTime(filePath) {
+  if (filePath.endsWith('.gz')) return null;
+
+  const handle = fs.openSync(filePath, 'r');
+  let tail;
+  try {
+    const size = fs.fstatSync(handle).size;
+    const length = Math.min(size, TAIL_SIZE);
+    const buffer = Buffer.alloc(length);
+    tail = buffer.subarray(0, fs.readSync(handle, buffer, 0, length, size - length)).toString('utf8');
+  } finally {
+    fs.closeSync(handle);
+  }
+
+  // The first line may be cut off, and the last one too if k6 is still writing
+  const lines = tail.split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (entry && entry.type === 'Point' && entry.data && entry.data.time) {
+        return Date.parse(entry.data.time);
+      }
+    } catch (err) {
+      // Not a complete line
+    }
+  }
+  return null;
+}
+
+/**
+ * Follow a results file while k6 writes it, like tail -f from the start of the
+ * file: onEntry is called for every complete line, and the file is polled for
+ * more. The file may not exist yet when following starts.
+ *
+ * Returns { done, stop }. done resolves with the same stats as readEntries()
+ * after stop() is called or when nothing was appended for options.idleTimeout
+ * milliseconds, so an unattended export ends once the test has finished.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pollInterval] - milliseconds between checks for new data (default 1000)
+ * @param {number} [options.idleTimeout] - stop after this long without new data (default 60000)
+ */
+function followEntries(filePath, onEntry, options = {}) {
+  if (filePath.endsWith('.gz')) {
+    throw new Error('Compressed results can only be read once k6 has finished; follow the uncompressed output instead');
+  }
+
+  const pollInterval = options.pollInterval || 1000;
+  const idleTimeout = options.idleTimeout || 60000;
+  const stats = { lines: 0, points: 0, invalid: 0 };
+
+  let offset = 0;
+  let partial = '';
+  let decoder = new StringDecoder('utf8');
+  let lastData = Date.now();
+  let stopped = false;
+  let polling = false;
+  let finished = false;
+  let timer = null;
+  let settle;
+
+  const done = new Promise((resolve, reject) => {
+    settle = (err) => {
+      finished = true;
+      clearTimeout(timer);
+      if (err) {
+        reject(err);
+        return;
+      }
+      // A last line without a trailing newline is complete once k6 is done
+      if (partial) {
+        handleLine(partial, stats, onEntry);
+        partial = '';
+      }
+      resolve(stats);
+    };
+  });
+
+  function consume(text) {
+    const lines = (partial + text).split('\n');
+    partial = lines.pop();
+    lines.forEach(line => handleLine(line, stats, onEntry));
+  }
+
+  async function readNewData() {
+    let size;
+    try {
+      size = (await fs.promises.stat(filePath)).size;
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    if (size < offset) {
+      // The file was replaced by a new run; start over
+      offset = 0;
+      partial = '';
+      decoder = new StringDecoder('utf8');
+    }
+    if (size === offset) return;
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(Math.min(FOLLOW_CHUNK_SIZE, size - offset));
+      while (offset < size) {
+        const { bytesRead } = await handle.read(buffer, 0, Math.min(buffer.length, size - offset), offset);
+        if (bytesRead === 0) break;
+        offset += bytesRead;
+        consume(decoder.write(buffer.subarray(0, bytesRead)));
+      }
+    } finally {
+      await handle.close();
+    }
+    lastData = Date.now();
+  }
+
+  async function poll() {
+    polling = true;
+    try {
+      await readNewData();
+    } catch (err) {
+      settle(err);
+      return;
+    } finally {
+      polling = false;
+    }
+    if (stopped || Date.now() - lastData >= idleTimeout) {
+      settle();
+      return;
+    }
+    timer = setTimeout(poll, pollInterval);
+  }
+
+  poll();
+
+  return {
+    done,
+    // Read what has been written so far and finish
+    stop() {
+      stopped = true;
+      // A poll in progress finishes by itself once it sees stopped
+      if (!polling && !finished) {
+        clearTimeout(timer);
+        poll();
+      }
+    },
+  };
+}
+
+module.exports = { readEntries, readPoints, readLastPointTime, followEntries };
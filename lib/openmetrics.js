@@ -0,0 +1,389 @@
+/**
+ * Prometheus view of k6 metric points
+ *
+ * MetricRegistry folds the points of a results file into Prometheus series:
+ * counters become <name>_total counters, gauges stay gauges, rates become a
+ * <name>_rate gauge (the share of non-zero values so far) and trends become
+ * histograms. Time trends such as http_req_duration are converted to seconds
+ * and named <name>_seconds, following the Prometheus conventions.
+ *
+ * Only the tags in labelTags become labels. Tags such as url, vu or iter would
+ * create a series per request, so they are left out, and the series per metric
+ * are capped like in breakdown.js with the rest folded into name="(other)".
+ *
+ * collect() takes a snapshot of every series. Snapshots can be rendered as
+ * OpenMetrics text, all at once or one at a time through OpenMetricsSpool, or
+ * turned into remote-write time series.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_PREFIX = 'k6_';
+
+// k6 tags mapped to labels when no list is given
+const DEFAULT_LABEL_TAGS = ['type', 'group', 'status', 'method', 'name'];
+
+// Histogram buckets for time trends, in seconds
+const TIME_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Histogram buckets for trends of other values
+const VALUE_BUCKETS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const MAX_SERIES = 200;
+const OTHER_SERIES = '(other)';
+
+function sanitizeName(name) {
+  const clean = name.replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[a-zA-Z_:]/.test(clean) ? clean : `_${clean}`;
+}
+
+function sanitizeLabelName(name) {
+  const clean = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[a-zA-Z_]/.test(clean) ? clean : `_${clean}`;
+}
+
+// Sorted entries, so the same labels always give the same key
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+// Describe how a k6 metric is exported, from its Metric entry
+function describeFamily(prefix, metric, definition) {
+  const base = sanitizeName(`${prefix}${metric}`);
+  const help = `k6 ${definition.type || 'metric'} ${metric}`;
+
+  switch (definition.type) {
+    case 'counter':
+      return { name: base, type: 'counter', help, kind: 'counter' };
+    case 'rate':
+      return { name: `${base}_rate`, type: 'gauge', help, kind: 'rate' };
+    case 'trend':
+      return definition.contains === 'time'
+        ? { name: `${base}_seconds`, type: 'histogram', unit: 'seconds', help, kind: 'histogram', scale: 0.001, buckets: TIME_BUCKETS }
+        : { name: base, type: 'histogram', help, kind: 'histogram', scale: 1, buckets: VALUE_BUCKETS };
+    default:
+      return { name: base, type: 'gauge', help, kind: 'gauge' };
+  }
+}
+
+function newState(family) {
+  switch (family.kind) {
+    case 'histogram':
+      return { counts: family.buckets.map(() => 0), count: 0, sum: 0 };
+    case 'rate':
+      return { count: 0, nonZero: 0 };
+    default:
+      return { value: 0 };
+  }
+}
+
+function updateState(family, state, value) {
+  switch (family.kind) {
+    case 'counter':
+      state.value += value;
+      break;
+    case 'rate':
+      state.count++;
+      if (value !== 0) state.nonZero++;
+      break;
+    case 'histogram': {
+      const scaled = value * family.scale;
+      state.count++;
+      state.sum += scaled;
+      const bucket = family.buckets.findIndex(bound => scaled <= bound);
+      if (bucket !== -1) state.counts[bucket]++;
+      break;
+    }
+    default:
+      state.value = value;
+  }
+}
+
+// Samples of one series as [{ suffix, labels, value }], labels being extra ones like le
+function seriesSamples(family, state) {
+  switch (family.kind) {
+    case 'counter':
+      return [{ suffix: '_total', labels: {}, value: state.value }];
+    case 'rate':
+      return [{ suffix: '', labels: {}, value: state.count > 0 ? state.nonZero / state.count : 0 }];
+    case 'histogram': {
+      let cumulative = 0;
+      const buckets = family.buckets.map((bound, index) => {
+        cumulative += state.counts[index];
+        return { suffix: '_bucket', labels: { le: String(bound) }, value: cumulative };
+      });
+      return buckets.concat([
+        { suffix: '_bucket', labels: { le: '+Inf' }, value: state.count },
+        { suffix: '_count', labels: {}, value: state.count },
+        { suffix: '_sum', labels: {}, value: state.sum },
+      ]);
+    }
+    default:
+      return [{ suffix: '', labels: {}, value: state.value }];
+  }
+}
+
+class MetricRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - prefix for every metric name (default "k6_")
+   * @param {string[]} [options.labelTags] - k6 tags exported as labels
+   * @param {Object} [options.constLabels] - labels added to every series, e.g. { run: 'nightly' }
+   * @param {number} [options.maxSeries] - series kept per metric before folding into name="(other)"
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix !== undefined ? options.prefix : DEFAULT_PREFIX;
+    this.labelTags = options.labelTags || DEFAULT_LABEL_TAGS;
+    this.constLabels = options.constLabels || {};
+    this.maxSeries = options.maxSeries || MAX_SERIES;
+    this.definitions = {};
+    this.families = new Map();
+    this.lastTime = undefined;
+  }
+
+  /**
+   * Add a k6 output entry. Metric entries say how a metric is exported, so they
+   * must come before its points, which is how k6 writes them.
+   */
+  add(entry) {
+    if (entry.type === 'Metric') {
+      this.definitions[entry.metric] = entry.data || {};
+      return;
+    }
+    if (entry.type !== 'Point') return;
+
+    let family = this.families.get(entry.metric);
+    if (!family) {
+      family = { ...describeFamily(this.prefix, entry.metric, this.definitions[entry.metric] || {}), series: new Map() };
+      this.families.set(entry.metric, family);
+    }
+
+    const labels = this.labelsFor(entry.data.tags || {});
+    const key = labelKey(labels);
+    let series = family.series.get(key);
+    if (!series) {
+      const otherLabels = { ...this.constLabels, name: OTHER_SERIES };
+      const folded = family.series.size >= this.maxSeries;
+      const seriesLabels = folded ? otherLabels : labels;
+      const seriesKey = folded ? labelKey(otherLabels) : key;
+      series = family.series.get(seriesKey) || { labels: seriesLabels, state: newState(family) };
+      family.series.set(seriesKey, series);
+    }
+    updateState(family, series.state, entry.data.value);
+
+    const time = Date.parse(entry.data.time);
+    if (!Number.isNaN(time) && (this.lastTime === undefined || time > this.lastTime)) {
+      this.lastTime = time;
+    }
+  }
+
+  labelsFor(tags) {
+    const labels = { ...this.constLabels };
+    this.labelTags.forEach(tag => {
+      // Empty values mean "no label" to Prometheus, e.g. the group of a request outside any group()
+      if (tags[tag] !== undefined && tags[tag] !== '') {
+        labels[sanitizeLabelName(tag)] = String(tags[tag]);
+      }
+    });
+    return labels;
+  }
+
+  /**
+   * Current values as [{ name, type, unit, help, series: [{ labels, samples }] }]
+   */
+  collect() {
+    return [...this.families.values()].map(family => ({
+      name: family.name,
+      type: family.type,
+      unit: family.unit,
+      help: family.help,
+      series: [...family.series.values()].map(series => ({
+        labels: series.labels,
+        samples: seriesSamples(family, series.state),
+      })),
+    }));
+  }
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Group the snapshots' series by family and labels, each with its points in time order
+function mergeSnapshots(snapshots) {
+  const families = new Map();
+  snapshots.forEach(({ timestamp, families: collected }) => {
+    collected.forEach(family => {
+      if (!families.has(family.name)) {
+        families.set(family.name, { ...family, series: new Map() });
+      }
+      const merged = families.get(family.name).series;
+      family.series.forEach(series => {
+        const key = labelKey(series.labels);
+        if (!merged.has(key)) {
+          merged.set(key, { labels: series.labels, points: [] });
+        }
+        merged.get(key).points.push({ timestamp, samples: series.samples });
+      });
+    });
+  });
+  return [...families.values()];
+}
+
+// The # TYPE, # UNIT and # HELP lines that open a family
+function familyHeader(family) {
+  const lines = [`# TYPE ${family.name} ${family.type}`];
+  if (family.unit) {
+    lines.push(`# UNIT ${family.name} ${family.unit}`);
+  }
+  lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+  return lines;
+}
+
+// The sample lines of one series at one point in time
+function seriesLines(family, labels, samples, timestamp) {
+  const time = timestamp === null || timestamp === undefined ? '' : ` ${(timestamp / 1000).toFixed(3)}`;
+  return samples.map(sample =>
+    `${family.name}${sample.suffix}${formatLabels({ ...labels, ...sample.labels })} ${formatValue(sample.value)}${time}`);
+}
+
+/**
+ * Render snapshots ([{ timestamp, families }] with families from collect()) as
+ * OpenMetrics text. Timestamps are in milliseconds; a null timestamp leaves it
+ * out, which is what a scrape endpoint serves.
+ */
+function renderOpenMetrics(snapshots) {
+  const lines = [];
+  mergeSnapshots(snapshots).forEach(family => {
+    lines.push(...familyHeader(family));
+    family.series.forEach(series => {
+      series.points.forEach(({ timestamp, samples }) => {
+        lines.push(...seriesLines(family, series.labels, samples, timestamp));
+      });
+    });
+  });
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
+
+// Bytes of a spooled series passed to write() at a time
+const SPOOL_CHUNK_SIZE = 1024 * 1024;
+
+// Pass a file's contents to write() in chunks of bytes
+function copyFile(file, write) {
+  const handle = fs.openSync(file, 'r');
+  try {
+    for (;;) {
+      // A new buffer each time, as write() may hold on to it
+      const buffer = Buffer.allocUnsafe(SPOOL_CHUNK_SIZE);
+      const bytes = fs.readSync(handle, buffer, 0, buffer.length, null);
+      if (bytes === 0) break;
+      write(buffer.subarray(0, bytes));
+    }
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+/**
+ * OpenMetrics text of a run built up one snapshot at a time, for runs too long
+ * to keep every snapshot in memory. OpenMetrics wants each family, and each
+ * series within it, in one piece, so every series' lines are appended to a
+ * file of their own in a temporary directory; finish() then passes the text
+ * to write(), as strings and Buffers, series by series and removes the files.
+ */
+class OpenMetricsSpool {
+  constructor() {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-openmetrics-'));
+    this.families = new Map();
+    this.files = 0;
+  }
+
+  add({ timestamp, families }) {
+    families.forEach(family => {
+      if (!this.families.has(family.name)) {
+        this.families.set(family.name, { header: familyHeader(family), series: new Map() });
+      }
+      const spooled = this.families.get(family.name).series;
+      family.series.forEach(series => {
+        const key = labelKey(series.labels);
+        if (!spooled.has(key)) {
+          spooled.set(key, path.join(this.directory, `${this.files++}.om`));
+        }
+        fs.appendFileSync(spooled.get(key), `${seriesLines(family, series.labels, series.samples, timestamp).join('\n')}\n`);
+      });
+    });
+  }
+
+  finish(write) {
+    try {
+      this.families.forEach(family => {
+        write(`${family.header.join('\n')}\n`);
+        family.series.forEach(file => copyFile(file, write));
+      });
+      write('# EOF\n');
+    } finally {
+      this.remove();
+    }
+  }
+
+  // Remove the spooled files, e.g. when the run can't be exported after all
+  remove() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Turn snapshots into remote-write time series
+ * ([{ labels: { __name__, ... }, samples: [{ value, timestamp }] }])
+ */
+function toTimeSeries(snapshots) {
+  const timeSeries = new Map();
+  snapshots.forEach(({ timestamp, families }) => {
+    families.forEach(family => {
+      family.series.forEach(series => {
+        series.samples.forEach(sample => {
+          const labels = { __name__: `${family.name}${sample.suffix}`, ...series.labels, ...sample.labels };
+          const key = labelKey(labels);
+          if (!timeSeries.has(key)) {
+            timeSeries.set(key, { labels, samples: [] });
+          }
+          timeSeries.get(key).samples.push({ value: sample.value, timestamp });
+        });
+      });
+    });
+  });
+  return [...timeSeries.values()];
+}
+
+// Number of samples in a snapshot, for sizing remote-write batches
+function sampleCount(snapshot) {
+  return snapshot.families.reduce((sum, family) =>
+    sum + family.series.reduce((seriesSum, series) => seriesSum + series.samples.length, 0), 0);
+}
+
+module.exports = {
+  MetricRegistry,
+  renderOpenMetrics,
+  OpenMetricsSpool,
+  toTimeSeries,
+  sampleCount,
+  DEFAULT_LABEL_TAGS,
+  TIME_BUCKETS,
+  VALUE_BUCKETS,
+};
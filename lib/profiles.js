@@ -0,0 +1,68 @@
+/**
+ * Node-side access to the named load profiles in profiles.json
+ *
+ * Resolves names the same way shared/profiles.js does inside k6: "ci" is
+ * ci-config.json, values ending in .json are profile files, and anything else
+ * is looked up in profiles.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PROFILES_FILE = path.join(ROOT, 'profiles.json');
+
+const PROFILE_FILES = {
+  ci: path.join(ROOT, 'ci-config.json'),
+};
+
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600 };
+
+// One or more amounts with a unit, and nothing else
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?(ms|s|m|h))+$/;
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function profileNames() {
+  return Object.keys(readJson(PROFILES_FILE)).concat(Object.keys(PROFILE_FILES));
+}
+
+/**
+ * Load a profile as { name, stages, thresholds }
+ */
+function loadProfile(name) {
+  const file = PROFILE_FILES[name] || (name.endsWith('.json') ? name : null);
+  if (file) {
+    const config = readJson(file);
+    return { name, stages: config.stages, thresholds: config.thresholds || {} };
+  }
+
+  const profile = readJson(PROFILES_FILE)[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${profileNames().join(', ')}`);
+  }
+  return { name, stages: profile.stages, thresholds: profile.thresholds || {} };
+}
+
+/**
+ * Parse a k6 duration string such as "2m", "90s" or "1h30m" into seconds,
+ * throwing on anything else, bare numbers included. shared/profiles.js
+ * accepts the same syntax.
+ */
+function parseDuration(duration) {
+  const text = String(duration);
+  if (!DURATION_PATTERN.test(text)) {
+    throw new Error(`Invalid duration "${text}": use a number with a unit (ms, s, m or h) such as 30s, 2m or 1h30m`);
+  }
+  let seconds = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    seconds += Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+  return seconds;
+}
+
+module.exports = { loadProfile, profileNames, parseDuration };
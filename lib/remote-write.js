@@ -0,0 +1,177 @@
+/**
+ * Prometheus remote-write (protocol 1.0) encoding and push
+ *
+ * A remote-write request is a snappy-compressed protobuf WriteRequest:
+ *
+ *   message WriteRequest { repeated TimeSeries timeseries = 1; }
+ *   message TimeSeries   { repeated Label labels = 1; repeated Sample samples = 2; }
+ *   message Label        { string name = 1; string value = 2; }
+ *   message Sample       { double value = 1; int64 timestamp = 2; }
+ *
+ * Only those four messages are needed, so they are encoded by hand rather than
+ * pulling in a protobuf library. Time series here are
+ * { labels: { __name__, ...labels }, samples: [{ value, timestamp }] } with
+ * timestamps in milliseconds.
+ */
+
+const http = require('http');
+const https = require('https');
+const snappy = require('./snappy');
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH = 2;
+
+function varint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+function tag(field, wireType) {
+  return varint((field << 3) | wireType);
+}
+
+function lengthDelimited(field, payload) {
+  return Buffer.concat([tag(field, WIRE_LENGTH), varint(payload.length), payload]);
+}
+
+function encodeLabel(name, value) {
+  return Buffer.concat([
+    lengthDelimited(1, Buffer.from(name, 'utf8')),
+    lengthDelimited(2, Buffer.from(String(value), 'utf8')),
+  ]);
+}
+
+function encodeSample({ value, timestamp }) {
+  const double = Buffer.alloc(8);
+  double.writeDoubleLE(value);
+  // Timestamps are positive milliseconds, well within a safe integer
+  return Buffer.concat([tag(1, WIRE_FIXED64), double, tag(2, WIRE_VARINT), varint(Math.round(timestamp))]);
+}
+
+function encodeTimeSeries(series) {
+  // Receivers expect labels sorted by name
+  const labels = Object.keys(series.labels).sort()
+    .map(name => lengthDelimited(1, encodeLabel(name, series.labels[name])));
+  const samples = series.samples.map(sample => lengthDelimited(2, encodeSample(sample)));
+  return Buffer.concat(labels.concat(samples));
+}
+
+function encodeWriteRequest(timeSeries) {
+  return Buffer.concat(timeSeries.map(series => lengthDelimited(1, encodeTimeSeries(series))));
+}
+
+// Read the fields of one message as [{ field, wireType, value }], where value is
+// a number for varints and a Buffer otherwise
+function readFields(buffer) {
+  const fields = [];
+  let pos = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let factor = 1;
+    for (;;) {
+      const byte = buffer[pos++];
+      value += (byte & 0x7f) * factor;
+      if (byte < 0x80) return value;
+      factor *= 128;
+    }
+  };
+
+  while (pos < buffer.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 0x07;
+    let value;
+    if (wireType === WIRE_VARINT) {
+      value = readVarint();
+    } else if (wireType === WIRE_FIXED64) {
+      value = buffer.subarray(pos, pos + 8);
+      pos += 8;
+    } else if (wireType === WIRE_LENGTH) {
+      const length = readVarint();
+      value = buffer.subarray(pos, pos + length);
+      pos += length;
+    } else if (wireType === 5) {
+      value = buffer.subarray(pos, pos + 4);
+      pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    fields.push({ field, wireType, value });
+  }
+  return fields;
+}
+
+/**
+ * Decode a WriteRequest into time series in the same shape encodeWriteRequest()
+ * takes, so a stub receiver can show what was pushed
+ */
+function decodeWriteRequest(buffer) {
+  return readFields(buffer)
+    .filter(({ field }) => field === 1)
+    .map(({ value }) => {
+      const series = { labels: {}, samples: [] };
+      readFields(value).forEach(({ field, value: message }) => {
+        const parts = readFields(message);
+        if (field === 1) {
+          const name = parts.find(part => part.field === 1);
+          const labelValue = parts.find(part => part.field === 2);
+          series.labels[name ? name.value.toString('utf8') : ''] = labelValue ? labelValue.value.toString('utf8') : '';
+        } else if (field === 2) {
+          const value = parts.find(part => part.field === 1);
+          const timestamp = parts.find(part => part.field === 2);
+          series.samples.push({
+            value: value ? value.value.readDoubleLE(0) : 0,
+            timestamp: timestamp ? timestamp.value : 0,
+          });
+        }
+      });
+      return series;
+    });
+}
+
+/**
+ * Push time series to a remote-write endpoint. Resolves with the response
+ * status and rejects on network errors or a non-2xx status.
+ */
+function pushTimeSeries(url, timeSeries, options = {}) {
+  const body = snappy.compress(encodeWriteRequest(timeSeries));
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const headers = {
+    'Content-Encoding': 'snappy',
+    'Content-Type': 'application/x-protobuf',
+    'Content-Length': body.length,
+    'User-Agent': 'k6-export-metrics',
+    'X-Prometheus-Remote-Write-Version': '0.1.0',
+    ...options.headers,
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, { method: 'POST', headers, timeout: options.timeout || 30000 }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ status: response.statusCode });
+        } else {
+          const message = Buffer.concat(chunks).toString('utf8').trim();
+          reject(new Error(`Remote write to ${url} failed with ${response.statusCode}${message ? `: ${message}` : ''}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Remote write to ${url} timed out`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = { encodeWriteRequest, decodeWriteRequest, pushTimeSeries };
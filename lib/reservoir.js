@@ -0,0 +1,30 @@
+/**
+ * Fixed-size uniform random sample of a stream (Vitter's algorithm R)
+ *
+ * Used where raw values are needed, e.g. for rank-based significance tests,
+ * without keeping every point of a long run in memory.
+ */
+
+const DEFAULT_SAMPLE_SIZE = 5000;
+
+class Reservoir {
+  constructor(size = DEFAULT_SAMPLE_SIZE) {
+    this.size = size;
+    this.seen = 0;
+    this.values = [];
+  }
+
+  add(value) {
+    this.seen++;
+    if (this.values.length < this.size) {
+      this.values.push(value);
+      return;
+    }
+    const index = Math.floor(Math.random() * this.seen);
+    if (index < this.size) {
+      this.values[index] = value;
+    }
+  }
+}
+
+module.exports = { Reservoir, DEFAULT_SAMPLE_SIZE };
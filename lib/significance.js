@@ -0,0 +1,71 @@
+/**
+ * Significance tests used to tell real regressions from run-to-run noise
+ */
+
+// Standard normal CDF via the Abramowitz-Stegun erf approximation (7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Mann-Whitney U test with the tie-corrected normal approximation.
+ * pGreater is the one-sided p-value for "values in a tend to be larger than in b".
+ */
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  const combined = a.map(value => ({ value, fromA: true }))
+    .concat(b.map(value => ({ value, fromA: false })))
+    .sort((x, y) => x.value - y.value);
+
+  const n = combined.length;
+  let rankSumA = 0;
+  let tieTerm = 0;
+
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && combined[j + 1].value === combined[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k <= j; k++) {
+      if (combined[k].fromA) rankSumA += averageRank;
+    }
+    i = j + 1;
+  }
+
+  const u = rankSumA - n1 * (n1 + 1) / 2;
+  const mean = n1 * n2 / 2;
+  const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (variance <= 0) {
+    return { u, z: 0, pGreater: 0.5, pLess: 0.5 };
+  }
+
+  const z = (u - mean) / Math.sqrt(variance);
+  return { u, z, pGreater: 1 - normalCdf(z), pLess: normalCdf(z) };
+}
+
+/**
+ * Two-proportion z-test. pGreater is the one-sided p-value for "the rate in a
+ * is higher than in b".
+ */
+function twoProportionZ(successesA, totalA, successesB, totalB) {
+  if (totalA === 0 || totalB === 0) return null;
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (standardError === 0) {
+    return { z: 0, pGreater: 0.5, pLess: 0.5 };
+  }
+
+  const z = (successesA / totalA - successesB / totalB) / standardError;
+  return { z, pGreater: 1 - normalCdf(z), pLess: normalCdf(z) };
+}
+
+module.exports = { normalCdf, mannWhitneyU, twoProportionZ };
@@ -0,0 +1,104 @@
+/**
+ * Minimal Snappy block format codec for Prometheus remote-write bodies
+ *
+ * Remote-write requires the snappy block format but there is no snappy in the
+ * Node standard library. compress() writes a valid stream made of literal
+ * elements only, so the body is not actually smaller; decompress() handles the
+ * full format, including the copies real encoders emit.
+ */
+
+// Longest literal written as one element
+const MAX_LITERAL = 65536;
+
+function writeVarint(value, bytes) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(remaining);
+}
+
+function compress(input) {
+  const header = [];
+  writeVarint(input.length, header);
+  const parts = [Buffer.from(header)];
+
+  for (let offset = 0; offset < input.length; offset += MAX_LITERAL) {
+    const chunk = input.subarray(offset, offset + MAX_LITERAL);
+    const n = chunk.length - 1;
+    if (n < 60) {
+      parts.push(Buffer.from([n << 2]));
+    } else if (n < 0x100) {
+      parts.push(Buffer.from([60 << 2, n]));
+    } else {
+      parts.push(Buffer.from([61 << 2, n & 0xff, n >> 8]));
+    }
+    parts.push(chunk);
+  }
+  return Buffer.concat(parts);
+}
+
+function decompress(input) {
+  let pos = 0;
+  let length = 0;
+  let shift = 0;
+  for (;;) {
+    const byte = input[pos++];
+    length += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) break;
+    shift += 7;
+  }
+
+  const output = Buffer.alloc(length);
+  let out = 0;
+  while (pos < input.length) {
+    const tag = input[pos++];
+    const kind = tag & 0x03;
+
+    if (kind === 0) {
+      // Literal: length - 1 in the tag, or in the next 1-4 bytes
+      let n = tag >> 2;
+      if (n >= 60) {
+        const size = n - 59;
+        n = input.readUIntLE(pos, size);
+        pos += size;
+      }
+      input.copy(output, out, pos, pos + n + 1);
+      pos += n + 1;
+      out += n + 1;
+      continue;
+    }
+
+    // Copy of earlier output, with a 1, 2 or 4 byte offset
+    let copyLength;
+    let offset;
+    if (kind === 1) {
+      copyLength = ((tag >> 2) & 0x07) + 4;
+      offset = ((tag >> 5) << 8) | input[pos++];
+    } else if (kind === 2) {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt32LE(pos);
+      pos += 4;
+    }
+    if (offset === 0 || offset > out) {
+      throw new Error('Invalid snappy copy offset');
+    }
+    // Byte by byte, since a copy may overlap the bytes it produces
+    for (let i = 0; i < copyLength; i++) {
+      output[out] = output[out - offset];
+      out++;
+    }
+  }
+
+  if (out !== length) {
+    throw new Error(`Snappy length mismatch: expected ${length}, got ${out}`);
+  }
+  return output;
+}
+
+module.exports = { compress, decompress };
@@ -0,0 +1,148 @@
+/**
+ * k6 end-of-test summaries as an alternative to the raw results
+ *
+ * Two summary formats are read:
+ *  - the data passed to handleSummary(), as written by shared/summary.js:
+ *    metrics[name] = { type, contains, values: { avg, 'p(95)', rate, count, ... } }
+ *  - the older k6 run --summary-export file, where the values sit directly on
+ *    the metric and the type has to be inferred from which values are present
+ *
+ * Both hold aggregates only, so thresholds are evaluated from the values k6
+ * computed: a percentile must be in summaryTrendStats, and tag filters only
+ * work for submetrics k6 tracked, i.e. selectors the script has thresholds on.
+ * Check pass rates come from the group tree. ThresholdSet.evaluateSummary()
+ * evaluates thresholds against a summary read here.
+ */
+
+const fs = require('fs');
+
+// Bytes read to tell a summary from NDJSON results
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Whether a file is a summary rather than NDJSON results. Results start with a
+ * Metric or Point entry on the first line; a summary is one JSON document.
+ */
+function isSummaryFile(filePath) {
+  if (filePath.endsWith('.gz')) return false;
+
+  const handle = fs.openSync(filePath, 'r');
+  let head;
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    head = buffer.subarray(0, fs.readSync(handle, buffer, 0, SNIFF_BYTES, 0)).toString('utf8');
+  } finally {
+    fs.closeSync(handle);
+  }
+
+  const firstLine = head.split('\n').find(line => line.trim()) || '';
+  try {
+    const entry = JSON.parse(firstLine);
+    return !(entry && (entry.type === 'Metric' || entry.type === 'Point'));
+  } catch (err) {
+    // A pretty-printed summary starts with a lone "{"
+    return firstLine.trim().startsWith('{');
+  }
+}
+
+// Turn a --summary-export metric into the handleSummary() shape
+function normalizeExportMetric(metric) {
+  const { thresholds, ...values } = metric;
+  if (values.passes !== undefined) {
+    return { type: 'rate', values: { rate: values.value, passes: values.passes, fails: values.fails } };
+  }
+  if (values.count !== undefined && values.rate !== undefined) {
+    return { type: 'counter', values };
+  }
+  if (values.avg !== undefined) {
+    return { type: 'trend', values };
+  }
+  return { type: 'gauge', values };
+}
+
+// handleSummary() lists groups and checks in arrays, --summary-export in objects keyed by name
+function listOf(items) {
+  if (!items) return [];
+  return Array.isArray(items) ? items : Object.values(items);
+}
+
+// Sum passes and fails per check name over all groups
+function collectChecks(group, checks = new Map()) {
+  if (!group) return checks;
+  listOf(group.checks).forEach(check => {
+    const totals = checks.get(check.name) || { name: check.name, passes: 0, fails: 0 };
+    totals.passes += check.passes;
+    totals.fails += check.fails;
+    checks.set(check.name, totals);
+  });
+  listOf(group.groups).forEach(child => collectChecks(child, checks));
+  return checks;
+}
+
+/**
+ * Read a summary file as { format, metrics, checks, durationSeconds }, where
+ * metrics[name] = { type, values } and checks = [{ name, passes, fails }]
+ */
+function readSummary(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || typeof data.metrics !== 'object') {
+    throw new Error(`${filePath} is neither k6 JSON results nor a k6 summary`);
+  }
+
+  const handleSummaryFormat = Object.values(data.metrics).some(metric => metric && metric.values !== undefined);
+  const metrics = {};
+  Object.entries(data.metrics).forEach(([name, metric]) => {
+    metrics[name] = handleSummaryFormat ? { type: metric.type, values: metric.values || {} } : normalizeExportMetric(metric);
+  });
+
+  return {
+    format: handleSummaryFormat ? 'handleSummary' : 'summary-export',
+    metrics,
+    checks: [...collectChecks(data.root_group).values()],
+    durationSeconds: data.state && data.state.testRunDurationMs ? data.state.testRunDurationMs / 1000 : undefined,
+  };
+}
+
+// Find the summary metric for a threshold selector, trying k6's own submetric name
+function findMetric(summary, entry) {
+  const tags = Object.entries(entry.tags);
+  if (tags.length === 0) return summary.metrics[entry.metric];
+  return summary.metrics[entry.selector.trim()]
+    || summary.metrics[`${entry.metric}{${tags.map(([key, value]) => `${key}:${value}`).join(',')}}`];
+}
+
+// The value an expression compares, or a reason why the summary doesn't have it
+function summaryValue(metric, expression) {
+  const { values, type } = metric;
+  let key;
+  switch (expression.aggregation) {
+    case 'percentile':
+      key = `p(${expression.percentile})`;
+      break;
+    case 'count':
+      if (type === 'rate' && values.passes !== undefined) {
+        return { actual: values.passes + values.fails };
+      }
+      key = 'count';
+      break;
+    default:
+      key = expression.aggregation;
+  }
+  return values[key] !== undefined
+    ? { actual: values[key] }
+    : { reason: `${key} not in summary${type === 'trend' ? ', add it to summaryTrendStats' : ''}` };
+}
+
+/**
+ * The value a threshold expression compares for a ThresholdSet entry, as
+ * { actual } or, when the summary doesn't have it, { reason }
+ */
+function lookupSummaryValue(summary, entry, expression) {
+  const metric = findMetric(summary, entry);
+  if (!metric) {
+    return { reason: 'no data' };
+  }
+  return summaryValue(metric, expression);
+}
+
+module.exports = { isSummaryFile, readSummary, lookupSummaryValue };
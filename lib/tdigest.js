@@ -0,0 +1,136 @@
+/**
+ * Merging t-digest for bounded-memory percentile estimation
+ *
+ * Values are buffered and periodically compressed into weighted centroids. The
+ * centroid size limit shrinks towards both tails, so extreme percentiles such as
+ * p99.9 stay accurate while the middle of the distribution is summarized
+ * coarsely. Digests can be merged, e.g. to combine per-tag digests into a
+ * per-metric one.
+ *
+ * Percentiles follow k6's convention of linear interpolation between ranks, so
+ * a digest that has not needed to compress gives exactly the same answer as
+ * sorting all values. Once compressed, p50 to p99.9 stay within 0.5% of the
+ * exact sort, as test/tdigest.test.js checks, except on a gap between two modes
+ * of the distribution, where the estimate can be anywhere in the gap.
+ */
+
+const DEFAULT_COMPRESSION = 200;
+
+class TDigest {
+  constructor(compression = DEFAULT_COMPRESSION) {
+    this.compression = compression;
+    this.centroids = [];
+    this.buffer = [];
+    this.bufferLimit = compression * 5;
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(value, weight = 1) {
+    this.buffer.push({ mean: value, count: weight });
+    this.count += weight;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+    if (this.buffer.length >= this.bufferLimit) {
+      this.compress();
+    }
+  }
+
+  merge(other) {
+    other.compress();
+    other.centroids.forEach(c => this.buffer.push({ mean: c.mean, count: c.count }));
+    this.count += other.count;
+    if (other.min < this.min) this.min = other.min;
+    if (other.max > this.max) this.max = other.max;
+    this.compress();
+    return this;
+  }
+
+  compress() {
+    if (this.buffer.length === 0) return;
+
+    const all = this.centroids.concat(this.buffer).sort((a, b) => a.mean - b.mean);
+    this.buffer = [];
+
+    const merged = [];
+    let current = { ...all[0] };
+    let weightBefore = 0;
+
+    for (let i = 1; i < all.length; i++) {
+      const next = all[i];
+      const proposed = current.count + next.count;
+      const qLeft = weightBefore / this.count;
+      const qRight = (weightBefore + proposed) / this.count;
+      const limit = 4 * this.count * Math.min(qLeft * (1 - qLeft), qRight * (1 - qRight)) / this.compression;
+
+      if (proposed <= limit) {
+        current.mean += (next.mean - current.mean) * next.count / proposed;
+        current.count = proposed;
+      } else {
+        merged.push(current);
+        weightBefore += current.count;
+        current = { ...next };
+      }
+    }
+
+    merged.push(current);
+    this.centroids = merged;
+  }
+
+  /**
+   * Estimate the value at quantile q (0..1). Each centroid is treated as
+   * covering a run of ranks centred on its mean.
+   */
+  quantile(q) {
+    this.compress();
+    if (this.count === 0) return undefined;
+    if (q <= 0) return this.min;
+    if (q >= 1) return this.max;
+
+    const target = q * (this.count - 1);
+    let previousCenter = 0;
+    let previousMean = this.min;
+    let weightBefore = 0;
+
+    for (const centroid of this.centroids) {
+      const center = weightBefore + (centroid.count - 1) / 2;
+      if (target <= center) {
+        if (center === previousCenter) return centroid.mean;
+        const fraction = (target - previousCenter) / (center - previousCenter);
+        return previousMean + fraction * (centroid.mean - previousMean);
+      }
+      previousCenter = center;
+      previousMean = centroid.mean;
+      weightBefore += centroid.count;
+    }
+
+    const lastRank = this.count - 1;
+    if (lastRank === previousCenter) return this.max;
+    const fraction = (target - previousCenter) / (lastRank - previousCenter);
+    return previousMean + fraction * (this.max - previousMean);
+  }
+
+  toJSON() {
+    this.compress();
+    return {
+      compression: this.compression,
+      min: this.min,
+      max: this.max,
+      centroids: this.centroids.map(c => [c.mean, c.count]),
+    };
+  }
+
+  static fromJSON(json) {
+    const digest = new TDigest(json.compression);
+    json.centroids.forEach(([mean, count]) => {
+      digest.centroids.push({ mean, count });
+      digest.count += count;
+    });
+    digest.min = json.min;
+    digest.max = json.max;
+    return digest;
+  }
+}
+
+module.exports = { TDigest };
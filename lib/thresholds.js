@@ -0,0 +1,194 @@
+/**
+ * Evaluate k6 threshold expressions against streamed results
+ *
+ * Thresholds use the same shape as a script's options.thresholds:
+ *
+ *   {
+ *     "http_req_duration": ["p(95)<500"],
+ *     "checks{type:login}": ["rate>0.9"],
+ *     "http_reqs": [{ "threshold": "count>100", "abortOnFail": true }]
+ *   }
+ *
+ * Supported aggregations are avg, min, max, med, p(N) for trends, rate for
+ * rates and counters (per second), count for counters and value for gauges.
+ * A selector may filter by tags with metric{tag:value,other:value}.
+ */
+
+const fs = require('fs');
+const { MetricStats } = require('./metrics');
+const { lookupSummaryValue } = require('./summary');
+
+// The thresholds declared by dummyjson-advanced-test.js
+const DEFAULT_THRESHOLDS = {
+  http_req_duration: ['p(95)<500'],
+  http_req_failed: ['rate<0.1'],
+  'checks{type:login}': ['rate>0.9'],
+  'checks{type:products}': ['rate>0.9'],
+  'checks{type:cart}': ['rate>0.9'],
+  schema_violations: ['rate<0.01'],
+  journey_duration: ['p(95)<5000'],
+  checkout_duration: ['p(95)<2000'],
+};
+
+const EXPRESSION_PATTERN = /^\s*(avg|min|max|med|count|rate|value|p\(\s*(\d+(?:\.\d+)?)\s*\))\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+/**
+ * Split "metric{tag:value,...}" into the metric name and tag filter
+ */
+function parseSelector(selector) {
+  const match = /^\s*([^{\s]+)\s*(?:\{(.*)\})?\s*$/.exec(selector);
+  if (!match) {
+    throw new Error(`Invalid threshold metric selector: ${selector}`);
+  }
+
+  const tags = {};
+  (match[2] || '').split(',').filter(part => part.trim()).forEach(part => {
+    const separator = part.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Invalid tag filter "${part}" in selector: ${selector}`);
+    }
+    tags[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  });
+
+  return { metric: match[1], tags };
+}
+
+/**
+ * Parse an expression such as "p(95)<500" or "rate>0.9"
+ */
+function parseExpression(source) {
+  const match = EXPRESSION_PATTERN.exec(source);
+  if (!match) {
+    throw new Error(`Invalid threshold expression: ${source}`);
+  }
+
+  return {
+    source: source.trim(),
+    aggregation: match[2] !== undefined ? 'percentile' : match[1],
+    percentile: match[2] !== undefined ? Number(match[2]) : undefined,
+    operator: match[3],
+    value: Number(match[4]),
+  };
+}
+
+function matchesTags(pointTags, filter) {
+  return Object.entries(filter).every(([key, value]) => pointTags?.[key] === value);
+}
+
+/**
+ * Compute an aggregation for a metric, following k6's definitions
+ */
+function aggregate(stats, expression, durationSeconds) {
+  switch (expression.aggregation) {
+    case 'avg': return stats.avg;
+    case 'min': return stats.min;
+    case 'max': return stats.max;
+    case 'med': return stats.percentile(50);
+    case 'percentile': return stats.percentile(expression.percentile);
+    case 'value': return stats.last;
+    case 'count': return stats.type === 'counter' ? stats.sum : stats.count;
+    case 'rate':
+      if (stats.type === 'counter') {
+        return durationSeconds > 0 ? stats.sum / durationSeconds : undefined;
+      }
+      return stats.rate;
+    default: return undefined;
+  }
+}
+
+class ThresholdSet {
+  /**
+   * @param {Object} thresholds - k6 options.thresholds style object
+   */
+  constructor(thresholds = DEFAULT_THRESHOLDS) {
+    this.entries = Object.entries(thresholds).map(([selector, expressions]) => ({
+      selector,
+      ...parseSelector(selector),
+      expressions: expressions.map(expr => parseExpression(typeof expr === 'string' ? expr : expr.threshold)),
+      stats: null,
+    }));
+  }
+
+  add(point, type) {
+    this.entries.forEach(entry => {
+      if (entry.metric !== point.metric || !matchesTags(point.data.tags, entry.tags)) return;
+      if (!entry.stats) {
+        entry.stats = new MetricStats(type);
+      }
+      entry.stats.add(point.data.value);
+    });
+  }
+
+  /**
+   * Evaluate every expression. Selectors that saw no points are reported with
+   * noData set and do not count as failures, matching k6.
+   *
+   * @param {{start: number, end: number}} timeRange - used for counter rates
+   */
+  evaluate(timeRange) {
+    const durationSeconds = timeRange && timeRange.end > timeRange.start
+      ? (timeRange.end - timeRange.start) / 1000
+      : 0;
+
+    return this.entries.flatMap(entry => entry.expressions.map(expression => {
+      if (!entry.stats) {
+        return { selector: entry.selector, expression, actual: undefined, passed: true, noData: true };
+      }
+      const actual = aggregate(entry.stats, expression, durationSeconds);
+      const passed = actual !== undefined && COMPARATORS[expression.operator](actual, expression.value);
+      return { selector: entry.selector, expression, actual, passed, noData: false };
+    }));
+  }
+
+  /**
+   * Evaluate every expression against the aggregated values of a k6 summary
+   * (see summary.js) instead of added points. Values the summary lacks are
+   * reported with noData and the reason.
+   */
+  evaluateSummary(summary) {
+    return this.entries.flatMap(entry => entry.expressions.map(expression => {
+      const { actual, reason } = lookupSummaryValue(summary, entry, expression);
+      if (actual === undefined) {
+        return { selector: entry.selector, expression, actual, passed: true, noData: true, reason };
+      }
+      const passed = COMPARATORS[expression.operator](actual, expression.value);
+      return { selector: entry.selector, expression, actual, passed, noData: false };
+    }));
+  }
+}
+
+/**
+ * Read the thresholds object from a JSON config file such as ci-config.json
+ */
+function loadThresholds(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!config.thresholds) {
+    throw new Error(`No "thresholds" section in ${configPath}`);
+  }
+  return config.thresholds;
+}
+
+function formatActual(result) {
+  if (result.actual === undefined) return 'N/A';
+  const { aggregation } = result.expression;
+  return result.actual.toFixed(aggregation === 'rate' ? 4 : 2);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  ThresholdSet,
+  parseSelector,
+  parseExpression,
+  loadThresholds,
+  formatActual,
+};
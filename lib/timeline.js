@@ -0,0 +1,119 @@
+/**
+ * Time-bucketed aggregation of the core HTTP metrics
+ *
+ * Points are grouped into fixed-width buckets by their timestamp. When no
+ * interval is given the timeline starts at one second and doubles the width
+ * (merging neighbouring buckets) whenever the bucket count exceeds maxBuckets,
+ * so the number of buckets stays bounded for runs of any length.
+ */
+
+const { MetricStats } = require('./metrics');
+
+const DEFAULT_MAX_BUCKETS = 240;
+
+class Bucket {
+  constructor() {
+    this.vus = 0;
+    this.requests = 0;
+    this.failed = new MetricStats('rate');
+    this.duration = new MetricStats('trend');
+  }
+
+  add(point) {
+    const { value } = point.data;
+
+    switch (point.metric) {
+      case 'vus':
+        this.vus = Math.max(this.vus, value);
+        break;
+      case 'http_reqs':
+        this.requests += value;
+        break;
+      case 'http_req_failed':
+        this.failed.add(value);
+        break;
+      case 'http_req_duration':
+        this.duration.add(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  merge(other) {
+    this.vus = Math.max(this.vus, other.vus);
+    this.requests += other.requests;
+    this.failed.merge(other.failed);
+    this.duration.merge(other.duration);
+    return this;
+  }
+}
+
+class Timeline {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - fixed bucket width; adaptive when omitted
+   * @param {number} [options.maxBuckets] - bucket count that triggers widening
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || 1000;
+    this.adaptive = !options.intervalMs;
+    this.maxBuckets = options.maxBuckets || DEFAULT_MAX_BUCKETS;
+    this.origin = null;
+    this.buckets = new Map();
+  }
+
+  add(point) {
+    const time = Date.parse(point.data.time);
+    if (this.origin === null) {
+      this.origin = time;
+    }
+
+    this.bucketFor(Math.floor((time - this.origin) / this.intervalMs)).add(point);
+  }
+
+  bucketFor(index) {
+    let bucket = this.buckets.get(index);
+    if (!bucket) {
+      bucket = new Bucket();
+      this.buckets.set(index, bucket);
+      if (this.adaptive && this.buckets.size > this.maxBuckets) {
+        this.widen();
+        return this.bucketFor(Math.floor(index / 2));
+      }
+    }
+    return bucket;
+  }
+
+  // Double the bucket width, merging each pair of neighbouring buckets
+  widen() {
+    const widened = new Map();
+    this.buckets.forEach((bucket, index) => {
+      const target = Math.floor(index / 2);
+      const existing = widened.get(target);
+      widened.set(target, existing ? existing.merge(bucket) : bucket);
+    });
+    this.buckets = widened;
+    this.intervalMs *= 2;
+  }
+
+  /**
+   * Buckets in time order with their offset from the first point in seconds
+   */
+  series() {
+    const intervalSeconds = this.intervalMs / 1000;
+    return [...this.buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([index, bucket]) => ({
+        offset: index * intervalSeconds,
+        start: this.origin + index * this.intervalMs,
+        vus: bucket.vus,
+        requests: bucket.requests,
+        rps: bucket.requests / intervalSeconds,
+        errorRate: bucket.failed.rate,
+        duration: bucket.duration,
+      }));
+  }
+}
+
+module.exports = { Timeline, Bucket };
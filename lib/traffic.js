@@ -0,0 +1,246 @@
+/**
+ * Recorded traffic (HAR files and access logs) turned into replay sessions
+ *
+ * A session is the request sequence of one visitor: the whole HAR file, or
+ * the lines of an access log from one client (address and user agent) with no
+ * gap longer than sessionGap between them. Each request keeps its method,
+ * path, body and status and its offset from the start of the session, so
+ * shared/replay.js can reproduce the timing.
+ *
+ * Recorded credentials are never written out. Logins and token refreshes are
+ * dropped, as the replay logs in through the usual session handling, and
+ * requests that carried an Authorization header (or match authPaths) are only
+ * marked as needing one. The logged-in user's ID in paths such as
+ * /carts/user/5 and in a JSON body's userId becomes {userId}, filled in with
+ * the replaying user's ID. A HAR file's login response holds that ID; an
+ * access log doesn't, so there the first number after user or users in a
+ * logged-in session's paths is taken as the user's ID.
+ */
+
+const fs = require('fs');
+
+const FORMAT_VERSION = 1;
+
+// Requests the replay makes through the session handling instead
+const LOGIN_PATH = /\/auth\/login$/;
+const REFRESH_PATH = /\/auth\/refresh$/;
+
+// Static assets, not part of the API traffic
+const DEFAULT_EXCLUDE = /\.(js|css|png|jpe?g|gif|svg|ico|woff2?|ttf|map)(\?|$)/i;
+
+const DEFAULT_SESSION_GAP_MS = 30 * 60 * 1000;
+
+const USER_ID = '{userId}';
+
+// Path segments that are IDs: numbers, UUIDs and long hex strings
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+// Segments after which a number is a user's ID
+const USER_SEGMENTS = ['user', 'users'];
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+// Common and combined log format; the referer and user agent are optional
+const ACCESS_LOG_LINE = /^(\S+) \S+ \S+ \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) \S+(?: "[^"]*" "([^"]*)")?/;
+
+/**
+ * URL template of a path for the name tag: IDs become :id and the query is dropped
+ */
+function templatePath(path) {
+  return path.split('?')[0]
+    .split('/')
+    .map(segment => (ID_SEGMENT.test(segment) || segment === USER_ID ? ':id' : segment))
+    .join('/');
+}
+
+// Replace the logged-in user's ID where it identifies the user
+function withUserId(path, userId) {
+  if (userId === undefined) return path;
+  const [pathname, query] = path.split('?');
+  const segments = pathname.split('/');
+  const replaced = segments.map((segment, index) =>
+    (segment === String(userId) && USER_SEGMENTS.includes(segments[index - 1]) ? USER_ID : segment));
+  return replaced.join('/') + (query !== undefined ? `?${query}` : '');
+}
+
+// The number after user or users in a path, e.g. 5 in /carts/user/5
+function pathUserId(path) {
+  const segments = path.split('?')[0].split('/');
+  const index = segments.findIndex((segment, i) => /^\d+$/.test(segment) && USER_SEGMENTS.includes(segments[i - 1]));
+  return index === -1 ? undefined : segments[index];
+}
+
+function bodyWithUserId(body, userId) {
+  if (userId === undefined || !body) return body;
+  try {
+    const json = JSON.parse(body);
+    if (json && String(json.userId) === String(userId)) {
+      return JSON.stringify({ ...json, userId: USER_ID });
+    }
+  } catch (err) {
+    // Not JSON, kept as recorded
+  }
+  return body;
+}
+
+// 10/Oct/2000:13:55:36 -0700 as milliseconds since the epoch
+function parseLogTime(text) {
+  const match = text.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/);
+  if (!match) return NaN;
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const utc = Date.UTC(Number(year), MONTHS[month], Number(day), Number(hours), Number(minutes), Number(seconds));
+  const offset = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+  return sign === '+' ? utc - offset : utc + offset;
+}
+
+/**
+ * Read a HAR file as one visitor's raw requests:
+ * [{ client, time, method, path, status, body, contentType, auth, userId }]
+ * userId is set on a successful login whose response holds the user's id.
+ */
+function readHar(filePath, { host } = {}) {
+  const har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${filePath} is not a HAR file (no log.entries)`);
+  }
+
+  return har.log.entries
+    .filter(entry => !host || new URL(entry.request.url).host === host)
+    .map(entry => {
+      const url = new URL(entry.request.url);
+      const header = (name) => (entry.request.headers || []).find(h => h.name.toLowerCase() === name);
+      const request = {
+        client: 'har',
+        time: Date.parse(entry.startedDateTime),
+        method: entry.request.method,
+        path: url.pathname + url.search,
+        status: entry.response ? entry.response.status : undefined,
+        body: entry.request.postData ? entry.request.postData.text : undefined,
+        contentType: entry.request.postData ? entry.request.postData.mimeType : undefined,
+        auth: Boolean(header('authorization')),
+      };
+      if (LOGIN_PATH.test(url.pathname) && request.status === 200 && entry.response.content && entry.response.content.text) {
+        try {
+          request.userId = JSON.parse(entry.response.content.text).id;
+        } catch (err) {
+          // No user ID to template
+        }
+      }
+      return request;
+    });
+}
+
+/**
+ * Read a common or combined format access log as raw requests (see readHar).
+ * Lines that don't parse are counted in the returned skipped.
+ */
+function readAccessLog(filePath) {
+  const requests = [];
+  let skipped = 0;
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    const match = line.match(ACCESS_LOG_LINE);
+    const time = match ? parseLogTime(match[2]) : NaN;
+    if (!match || Number.isNaN(time)) {
+      skipped++;
+      return;
+    }
+    const [, address, , method, path, status, userAgent] = match;
+    requests.push({
+      client: userAgent ? `${address} ${userAgent}` : address,
+      time,
+      method,
+      path,
+      status: Number(status),
+      auth: false,
+    });
+  });
+  return { requests, skipped };
+}
+
+/**
+ * Group raw requests into replay sessions, in time order per client.
+ *
+ * @param {Object} [options]
+ * @param {RegExp} [options.exclude] - paths left out (default: static assets)
+ * @param {RegExp} [options.authPaths] - paths that need a login even without a recorded Authorization header
+ * @param {number} [options.sessionGap] - milliseconds of silence that end a client's session
+ * Returns { sessions: [{ id, login, requests: [{ method, path, name, offset, status, auth, body, contentType }] }], dropped }
+ */
+function buildSessions(requests, options = {}) {
+  const exclude = options.exclude || DEFAULT_EXCLUDE;
+  const sessionGap = options.sessionGap || DEFAULT_SESSION_GAP_MS;
+  const dropped = { excluded: 0, auth: 0 };
+
+  const byClient = new Map();
+  requests
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(request => {
+      if (exclude.test(request.path)) {
+        dropped.excluded++;
+        return;
+      }
+      let sessions = byClient.get(request.client);
+      if (!sessions) {
+        sessions = [];
+        byClient.set(request.client, sessions);
+      }
+      const current = sessions[sessions.length - 1];
+      if (!current || request.time - current.last > sessionGap) {
+        sessions.push({ start: request.time, last: request.time, userId: undefined, login: false, requests: [] });
+      }
+      const session = sessions[sessions.length - 1];
+      session.last = request.time;
+
+      const pathname = request.path.split('?')[0];
+      if (LOGIN_PATH.test(pathname) || REFRESH_PATH.test(pathname)) {
+        if (request.userId !== undefined) session.userId = request.userId;
+        session.login = true;
+        dropped.auth++;
+        return;
+      }
+
+      const auth = request.auth || Boolean(options.authPaths && options.authPaths.test(pathname));
+      if (session.userId === undefined && (session.login || auth)) {
+        session.userId = pathUserId(request.path);
+      }
+      const path = withUserId(request.path, session.userId);
+      session.requests.push({
+        method: request.method,
+        path,
+        name: templatePath(path),
+        offset: request.time - session.start,
+        status: request.status,
+        auth,
+        body: bodyWithUserId(request.body, session.userId),
+        contentType: request.contentType,
+      });
+    });
+
+  const sessions = [...byClient.values()]
+    .flat()
+    .filter(session => session.requests.length > 0)
+    .sort((a, b) => a.start - b.start)
+    .map((session, index) => ({
+      id: index + 1,
+      // The replay logs in when the recording did or any request needs it
+      login: session.login || session.requests.some(request => request.auth),
+      requests: session.requests,
+    }));
+  return { sessions, dropped };
+}
+
+/**
+ * The replay file read by shared/replay.js
+ */
+function replayFile(source, sessions) {
+  return {
+    version: FORMAT_VERSION,
+    source,
+    createdAt: new Date().toISOString(),
+    sessions,
+  };
+}
+
+module.exports = { readHar, readAccessLog, buildSessions, replayFile, templatePath, DEFAULT_EXCLUDE };
@@ -0,0 +1,90 @@
+/**
+ * JUnit XML and Markdown renderers for validation results
+ *
+ * Both take the same list of suites:
+ *
+ *   [{ name: 'thresholds', cases: [{ name, status, measured, limit, message }] }]
+ *
+ * where status is 'passed', 'failed', 'skipped' or 'info' (reported without a
+ * limit, a passing testcase in JUnit). JUnit output is picked up by
+ * PR test-report UIs; the Markdown is meant for $GITHUB_STEP_SUMMARY.
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function countStatus(cases, status) {
+  return cases.filter(testCase => testCase.status === status).length;
+}
+
+function describe(testCase) {
+  return testCase.message || `measured ${testCase.measured}, limit ${testCase.limit}`;
+}
+
+function renderJUnit(suites, name = 'k6') {
+  const allCases = suites.flatMap(suite => suite.cases);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${allCases.length}" failures="${countStatus(allCases, 'failed')}" skipped="${countStatus(allCases, 'skipped')}">`,
+  ];
+
+  suites.forEach(suite => {
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" ` +
+      `failures="${countStatus(suite.cases, 'failed')}" skipped="${countStatus(suite.cases, 'skipped')}">`);
+
+    suite.cases.forEach(testCase => {
+      lines.push(`    <testcase classname="${escapeXml(`${name}.${suite.name}`)}" name="${escapeXml(testCase.name)}" time="0">`);
+      if (testCase.status === 'failed') {
+        lines.push(`      <failure type="${escapeXml(suite.name)}" message="${escapeXml(describe(testCase))}"/>`);
+      } else if (testCase.status === 'skipped') {
+        lines.push(`      <skipped message="${escapeXml(describe(testCase))}"/>`);
+      } else {
+        lines.push(`      <system-out>${escapeXml(describe(testCase))}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+const STATUS_ICONS = {
+  passed: '✅',
+  failed: '❌',
+  skipped: '⚠️',
+  info: 'ℹ️',
+};
+
+function renderMarkdown(suites, title) {
+  const allCases = suites.flatMap(suite => suite.cases);
+  const failures = countStatus(allCases, 'failed');
+  const headline = failures === 0 ? '✅ all passed' : `❌ ${failures} failed`;
+
+  const sections = suites.filter(suite => suite.cases.length > 0).map(suite => [
+    `#### ${suite.name.charAt(0).toUpperCase()}${suite.name.slice(1)}`,
+    '',
+    '| | Name | Measured | Limit |',
+    '|---|---|---|---|',
+    ...suite.cases.map(testCase =>
+      `| ${STATUS_ICONS[testCase.status]} | ${escapeMarkdown(testCase.name)} | ${escapeMarkdown(testCase.measured)} | ${escapeMarkdown(testCase.limit)} |`
+    ),
+    '',
+  ].join('\n'));
+
+  return [`### ${escapeMarkdown(title)}: ${headline}`, '', ...sections].join('\n');
+}
+
+module.exports = { renderJUnit, renderMarkdown };
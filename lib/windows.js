@@ -0,0 +1,160 @@
+/**
+ * Statistics per time window of a run
+ *
+ * A single set of numbers for a whole run hides how latency changes between
+ * the stages of a load profile, e.g. at the 100 VU peak of "load". Windows are
+ * spans of seconds since the first point of the results: StageWindows follows
+ * the stages of a profile, while fixed intervals are what Timeline does.
+ *
+ * Stage boundaries are approximate, as the offsets count from the first point
+ * rather than from the start of the scenario: requests made in setup() shift
+ * them by the time setup() took.
+ *
+ * WindowFilter passes on only the points inside a span, so thresholds can be
+ * evaluated without the warm-up and ramp-down.
+ */
+
+const { Bucket } = require('./timeline');
+const { parseDuration } = require('./profiles');
+const { readLastPointTime } = require('./ndjson-reader');
+
+const AFTER_STAGES = 'after stages';
+
+/**
+ * Windows of a profile's stages as [{ label, from, to }] in seconds
+ */
+function stageWindows(stages) {
+  let from = 0;
+  let vus = 0;
+  return stages.map((stage, index) => {
+    const to = from + parseDuration(stage.duration);
+    const shape = stage.target === vus ? `hold ${vus}` : `${vus}→${stage.target}`;
+    const window = { label: `${index + 1}: ${shape} VUs`, from, to };
+    from = to;
+    vus = stage.target;
+    return window;
+  });
+}
+
+class StageWindows {
+  /**
+   * @param {Array<{label: string, from: number, to: number}>} windows - consecutive windows in seconds
+   */
+  constructor(windows) {
+    this.windows = windows.map(window => ({ ...window, bucket: new Bucket() }));
+    this.after = { label: AFTER_STAGES, from: windows.length > 0 ? windows[windows.length - 1].to : 0, to: 0, bucket: new Bucket() };
+    this.origin = null;
+  }
+
+  add(point) {
+    const time = Date.parse(point.data.time);
+    if (this.origin === null) {
+      this.origin = time;
+    }
+
+    const offset = (time - this.origin) / 1000;
+    const window = this.windows.find(candidate => offset < candidate.to) || this.after;
+    if (window === this.after) {
+      this.after.to = Math.max(this.after.to, offset);
+    }
+    window.bucket.add(point);
+  }
+
+  /**
+   * Windows with data, in time order: [{ label, from, to, vus, requests, rps, errorRate, failed, duration }].
+   * Points past the last stage, e.g. from a graceful stop, are in an "after stages" window.
+   */
+  series() {
+    return this.windows.concat(this.after)
+      .filter(window => window.bucket.requests > 0 || window.bucket.duration.count > 0)
+      .map(({ label, from, to, bucket }) => {
+        const seconds = to - from;
+        return {
+          label,
+          from,
+          to,
+          vus: bucket.vus,
+          requests: bucket.requests,
+          rps: seconds > 0 ? bucket.requests / seconds : undefined,
+          errorRate: bucket.failed.rate,
+          failed: bucket.failed.nonZero,
+          duration: bucket.duration,
+        };
+      });
+  }
+}
+
+/**
+ * Pass points to an observer only when they fall inside a span of the run:
+ * from `from` seconds after the first point up to `to` seconds after it, and
+ * before the absolute time endTime (milliseconds) when that is given.
+ */
+class WindowFilter {
+  constructor(observer, { from = 0, to = Infinity, endTime = Infinity } = {}) {
+    this.observer = observer;
+    this.from = from;
+    this.to = to;
+    this.endTime = endTime;
+    this.origin = null;
+    this.excluded = 0;
+    this.timeRange = { start: Infinity, end: -Infinity };
+  }
+
+  add(point, type) {
+    const time = Date.parse(point.data.time);
+    if (this.origin === null) {
+      this.origin = time;
+    }
+
+    const offset = (time - this.origin) / 1000;
+    if (offset < this.from || offset >= this.to || time >= this.endTime) {
+      this.excluded++;
+      return;
+    }
+    if (time < this.timeRange.start) this.timeRange.start = time;
+    if (time > this.timeRange.end) this.timeRange.end = time;
+    this.observer.add(point, type);
+  }
+}
+
+// Seconds of a --warmup/--rampdown value; "stage" is the given stage's duration
+function excludedSeconds(option, value, stage) {
+  if (value !== 'stage') {
+    return parseDuration(value);
+  }
+  if (!stage) {
+    throw new Error(`--${option} stage needs the stages of --profile or --config`);
+  }
+  return parseDuration(stage.duration);
+}
+
+/**
+ * The span of a results file thresholds are evaluated over, leaving out
+ * { warmup, rampdown } at its start and end, as WindowFilter options. Either
+ * is a duration or "stage" for the first or last of the stages. Without
+ * stages the run ends with the last point of the file. Returns null when
+ * nothing is left out.
+ */
+function thresholdWindow(filePath, stages, { warmup, rampdown }) {
+  if (!warmup && !rampdown) return null;
+
+  const window = {};
+  if (warmup) {
+    window.from = excludedSeconds('warmup', warmup, stages && stages[0]);
+  }
+  if (rampdown) {
+    const seconds = excludedSeconds('rampdown', rampdown, stages && stages[stages.length - 1]);
+    if (stages) {
+      window.to = stages.reduce((total, stage) => total + parseDuration(stage.duration), 0) - seconds;
+    } else {
+      const lastPoint = readLastPointTime(filePath);
+      if (lastPoint === null) {
+        throw new Error('--rampdown needs the stages of --profile or --config to find the end of gzipped results');
+      }
+      window.endTime = lastPoint - seconds * 1000;
+    }
+  }
+  return window;
+}
+
+module.exports = { StageWindows, WindowFilter, stageWindows, thresholdWindow };
@@ -0,0 +1,54 @@
+/**
+ * Node-side access to the workload profiles of dummyjson-advanced-test.js
+ *
+ * Builds the script's k6 scenarios the way shared/workload.js does inside k6,
+ * so run-tests.js can check them against the limits of the target
+ * environment; test/parity.test.js checks that the two copies agree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./profiles');
+
+const DEFAULT_WORKLOAD_FILE = path.join(__dirname, '..', 'workloads', 'default.json');
+
+/**
+ * Load a workload file, relative paths resolving from the scripts' directory
+ */
+function loadWorkload(file) {
+  const filePath = file ? path.resolve(__dirname, '..', file) : DEFAULT_WORKLOAD_FILE;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function totalDuration(stages) {
+  return `${stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)}s`;
+}
+
+/**
+ * k6 scenarios of the workload for a profile { stages }, as shared/workload.js builds them
+ */
+function buildScenarios(workload, profile) {
+  const scenarios = {};
+  Object.entries(workload.scenarios).forEach(([name, config]) => {
+    const { enabled, ...scenario } = config;
+    if (enabled === false) return;
+
+    if (scenario.stages === 'profile') {
+      scenario.stages = profile.stages;
+    }
+    let remaining = profile.stages;
+    if (scenario.startTime === 'first-stage') {
+      scenario.startTime = profile.stages.length > 1 ? profile.stages[0].duration : '0s';
+      remaining = profile.stages.length > 1 ? profile.stages.slice(1) : profile.stages;
+    }
+    ['duration', 'maxDuration'].forEach(key => {
+      if (scenario[key] === 'profile') {
+        scenario[key] = totalDuration(remaining);
+      }
+    });
+    scenarios[name] = scenario;
+  });
+  return scenarios;
+}
+
+module.exports = { loadWorkload, buildScenarios };
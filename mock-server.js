@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the DummyJSON API so the k6 scripts can run offline
+ *
+ * Usage:
+ * node mock-server.js [--port 3000] [--latency 0] [--jitter 0] [--error-rate 0] [--error-status 500] [--require-auth]
+ *
+ * Then point a test at it with: k6 run -e BASE_URL=http://localhost:3000 dummyjson-test.js
+ *
+ * Every option can also be set through the environment (MOCK_PORT, MOCK_LATENCY,
+ * MOCK_JITTER, MOCK_ERROR_RATE, MOCK_ERROR_STATUS, MOCK_REQUIRE_AUTH=1). Latency
+ * and jitter are in milliseconds, the error rate is a fraction between 0 and 1.
+ * --require-auth makes the cart endpoints answer 401 without a valid access
+ * token, which the real API does not do but is useful to test token handling.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Parse "--name value" pairs, falling back to the environment and then the default
+function readOption(args, name, envName, fallback) {
+  const index = args.indexOf(`--${name}`);
+  if (index !== -1 && args[index + 1] !== undefined) {
+    return args[index + 1];
+  }
+  if (process.env[envName] !== undefined) {
+    return process.env[envName];
+  }
+  return fallback;
+}
+
+// A flag is on when passed or when its environment variable is "1" or "true"
+function readFlag(args, name, envName) {
+  return args.includes(`--${name}`) || ['1', 'true'].includes(process.env[envName]);
+}
+
+function readConfig(args) {
+  return {
+    port: Number(readOption(args, 'port', 'MOCK_PORT', 3000)),
+    latency: Number(readOption(args, 'latency', 'MOCK_LATENCY', 0)),
+    jitter: Number(readOption(args, 'jitter', 'MOCK_JITTER', 0)),
+    errorRate: Number(readOption(args, 'error-rate', 'MOCK_ERROR_RATE', 0)),
+    errorStatus: Number(readOption(args, 'error-status', 'MOCK_ERROR_STATUS', 500)),
+    requireAuth: readFlag(args, 'require-auth', 'MOCK_REQUIRE_AUTH'),
+  };
+}
+
+// Demo accounts mirroring the public DummyJSON users
+const USERS = [
+  { id: 1, username: 'emilys', password: 'emilyspass', firstName: 'Emily', lastName: 'Johnson', gender: 'female' },
+  { id: 2, username: 'michaelw', password: 'michaelwpass', firstName: 'Michael', lastName: 'Williams', gender: 'male' },
+  { id: 3, username: 'sophiab', password: 'sophiabpass', firstName: 'Sophia', lastName: 'Brown', gender: 'female' },
+  { id: 4, username: 'jamesd', password: 'jamesdpass', firstName: 'James', lastName: 'Davis', gender: 'male' },
+  { id: 5, username: 'emmaj', password: 'emmajpass', firstName: 'Emma', lastName: 'Miller', gender: 'female' },
+];
+
+// Catalog shape per category: the nouns double as the search terms used by the scripts
+const CATEGORIES = [
+  { slug: 'smartphones', noun: 'Phone', brand: 'Apple', price: 699 },
+  { slug: 'laptops', noun: 'Laptop', brand: 'Lenovo', price: 1099 },
+  { slug: 'fragrances', noun: 'Perfume', brand: 'Chanel', price: 89 },
+  { slug: 'skincare', noun: 'Serum', brand: 'Olay', price: 24 },
+  { slug: 'groceries', noun: 'Food Pack', brand: 'Organic Farms', price: 6 },
+  { slug: 'home-decoration', noun: 'Furniture Set', brand: 'Casa', price: 149 },
+  { slug: 'mens-watches', noun: 'Watch', brand: 'Rolex', price: 499 },
+  { slug: 'womens-watches', noun: 'Watch', brand: 'Longines', price: 399 },
+];
+
+const PRODUCT_COUNT = 194;
+
+// Build a deterministic catalog so runs against the mock are reproducible
+function buildCatalog() {
+  const products = [];
+  for (let id = 1; id <= PRODUCT_COUNT; id++) {
+    const category = CATEGORIES[(id - 1) % CATEGORIES.length];
+    const edition = Math.ceil(id / CATEGORIES.length);
+    products.push({
+      id,
+      title: `${category.brand} ${category.noun} ${edition}`,
+      description: `A ${category.noun.toLowerCase()} from ${category.brand}, edition ${edition}.`,
+      category: category.slug,
+      price: Math.round((category.price + edition * 1.5) * 100) / 100,
+      discountPercentage: (id * 7) % 20 + 0.5,
+      rating: 3 + ((id * 13) % 20) / 10,
+      stock: (id * 17) % 120,
+      brand: category.brand,
+      sku: `MOCK-${String(id).padStart(4, '0')}`,
+      thumbnail: `https://cdn.dummyjson.com/products/images/${category.slug}/${id}/thumbnail.png`,
+    });
+  }
+  return products;
+}
+
+const PRODUCTS = buildCatalog();
+
+// DummyJSON ships 50 carts, so carts created at runtime start after that
+const FIRST_CART_ID = 51;
+
+// In-memory cart store keyed by cart id
+function createCartStore() {
+  const carts = new Map();
+  let nextId = FIRST_CART_ID;
+
+  return {
+    create(userId, lines) {
+      const cart = { id: nextId++, userId, lines };
+      carts.set(cart.id, cart);
+      return cart;
+    },
+    get(id) {
+      const cart = carts.get(Number(id));
+      if (!cart) {
+        throw new HttpError(404, `Cart with id '${id}' not found`);
+      }
+      return cart;
+    },
+    remove(id) {
+      const cart = this.get(id);
+      carts.delete(cart.id);
+      return cart;
+    },
+    byUser(userId) {
+      return [...carts.values()].filter(cart => cart.userId === userId);
+    },
+    latestForUser(userId) {
+      const userCarts = this.byUser(userId);
+      return userCarts[userCarts.length - 1];
+    },
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function findProduct(id) {
+  const product = PRODUCTS.find(p => p.id === Number(id));
+  if (!product) {
+    throw new HttpError(404, `Product with id '${id}' not found`);
+  }
+  return product;
+}
+
+// Validate a request's product list into { id, quantity } lines
+function toCartLines(products) {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw new HttpError(400, 'Products are required');
+  }
+  return products.map(item => {
+    const product = findProduct(item.id);
+    const quantity = Number(item.quantity) || 1;
+    return { id: product.id, quantity };
+  });
+}
+
+// Merge new lines into existing ones, summing quantities of the same product
+function mergeLines(existing, added) {
+  const merged = existing.map(line => ({ ...line }));
+  added.forEach(line => {
+    const match = merged.find(m => m.id === line.id);
+    if (match) {
+      match.quantity += line.quantity;
+    } else {
+      merged.push({ ...line });
+    }
+  });
+  return merged;
+}
+
+// Render a stored cart in the DummyJSON response format
+function renderCart(cart) {
+  const products = cart.lines.map(line => {
+    const product = findProduct(line.id);
+    const total = round2(product.price * line.quantity);
+    return {
+      id: product.id,
+      title: product.title,
+      price: product.price,
+      quantity: line.quantity,
+      total,
+      discountPercentage: product.discountPercentage,
+      discountedTotal: round2(total * (1 - product.discountPercentage / 100)),
+      thumbnail: product.thumbnail,
+    };
+  });
+
+  return {
+    id: cart.id,
+    products,
+    total: round2(products.reduce((sum, p) => sum + p.total, 0)),
+    discountedTotal: round2(products.reduce((sum, p) => sum + p.discountedTotal, 0)),
+    userId: cart.userId,
+    totalProducts: products.length,
+    totalQuantity: products.reduce((sum, p) => sum + p.quantity, 0),
+  };
+}
+
+function requireUserId(body) {
+  const userId = Number(body.userId);
+  if (!userId) {
+    throw new HttpError(400, 'User id is required');
+  }
+  return userId;
+}
+
+// Sign a JWT-looking token so clients can treat it like the real one
+const TOKEN_SECRET = crypto.randomBytes(16).toString('hex');
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(user, expiresInMins) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({ id: user.id, username: user.username, iat: now, exp: now + expiresInMins * 60 });
+  const signature = crypto.createHmac('sha256', TOKEN_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Check a token's signature and expiry, returning the user it was issued to
+function verifyToken(token) {
+  const [header, payload, signature] = String(token || '').split('.');
+  const expected = crypto.createHmac('sha256', TOKEN_SECRET).update(`${header}.${payload}`).digest('base64url');
+  if (!signature || signature !== expected) {
+    throw new HttpError(401, 'Invalid/expired Token!');
+  }
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const user = USERS.find(u => u.id === claims.id);
+  if (!user || claims.exp * 1000 < Date.now()) {
+    throw new HttpError(401, 'Invalid/expired Token!');
+  }
+  return user;
+}
+
+function bearerToken(headers) {
+  const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+function issueTokens(user, expiresInMins) {
+  return {
+    accessToken: signToken(user, expiresInMins),
+    refreshToken: signToken(user, expiresInMins * 2),
+  };
+}
+
+function publicProfile(user) {
+  const { password, ...profile } = user;
+  return {
+    ...profile,
+    email: `${user.username}@x.dummyjson.com`,
+    image: `https://dummyjson.com/icon/${user.username}/128`,
+  };
+}
+
+function paginate(items, query) {
+  const limit = query.has('limit') ? Number(query.get('limit')) : 30;
+  const skip = Number(query.get('skip')) || 0;
+  const page = limit === 0 ? items.slice(skip) : items.slice(skip, skip + limit);
+  return { products: page, total: items.length, skip, limit: page.length };
+}
+
+function createRoutes(carts) {
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/test$/,
+      handler: () => ({ status: 'ok', method: 'GET' }),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/login$/,
+      handler: ({ body }) => {
+        const user = USERS.find(u => u.username === body.username && u.password === body.password);
+        if (!user) {
+          throw new HttpError(400, 'Invalid credentials');
+        }
+        return { ...publicProfile(user), ...issueTokens(user, Number(body.expiresInMins) || 60) };
+      },
+    },
+    {
+      method: 'POST',
+      pattern: /^\/auth\/refresh$/,
+      handler: ({ body }) => {
+        if (!body.refreshToken) {
+          throw new HttpError(401, 'Refresh token required');
+        }
+        return issueTokens(verifyToken(body.refreshToken), Number(body.expiresInMins) || 60);
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/auth\/me$/,
+      handler: ({ headers }) => publicProfile(verifyToken(bearerToken(headers))),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/products$/,
+      handler: ({ query }) => paginate(PRODUCTS, query),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/products\/search$/,
+      handler: ({ query }) => {
+        const term = (query.get('q') || '').toLowerCase();
+        const matches = PRODUCTS.filter(p =>
+          p.title.toLowerCase().includes(term) ||
+          p.description.toLowerCase().includes(term) ||
+          p.category.includes(term)
+        );
+        return paginate(matches, query);
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/products\/category\/([^/]+)$/,
+      handler: ({ params, query }) => paginate(PRODUCTS.filter(p => p.category === params[0]), query),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/products\/(\d+)$/,
+      handler: ({ params }) => findProduct(params[0]),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/carts\/add$/,
+      auth: true,
+      handler: ({ body }) => renderCart(carts.create(requireUserId(body), toCartLines(body.products))),
+    },
+    {
+      method: 'GET',
+      pattern: /^\/carts\/user\/(\d+)$/,
+      auth: true,
+      handler: ({ params }) => {
+        const userCarts = carts.byUser(Number(params[0])).map(renderCart);
+        return { carts: userCarts, total: userCarts.length, skip: 0, limit: userCarts.length };
+      },
+    },
+    {
+      method: 'POST',
+      pattern: /^\/carts\/user\/(\d+)\/add$/,
+      auth: true,
+      handler: ({ params, body }) => {
+        const userId = Number(params[0]);
+        const lines = toCartLines(body.products);
+        const cart = carts.latestForUser(userId);
+        if (!cart) {
+          return renderCart(carts.create(userId, lines));
+        }
+        cart.lines = mergeLines(cart.lines, lines);
+        return renderCart(cart);
+      },
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/carts\/(\d+)$/,
+      auth: true,
+      handler: ({ params, body }) => {
+        // Like DummyJSON: merge adds to the existing products, otherwise they are replaced
+        const cart = carts.get(params[0]);
+        const lines = toCartLines(body.products);
+        cart.lines = body.merge ? mergeLines(cart.lines, lines) : lines;
+        return renderCart(cart);
+      },
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/carts\/(\d+)$/,
+      auth: true,
+      handler: ({ params }) => ({ ...renderCart(carts.remove(params[0])), isDeleted: true, deletedOn: new Date().toISOString() }),
+    },
+    {
+      method: 'POST',
+      pattern: /^\/carts$/,
+      auth: true,
+      status: 201,
+      handler: ({ body }) => renderCart(carts.create(requireUserId(body), toCartLines(body.products))),
+    },
+  ];
+}
+
+function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    const match = route.pattern.exec(pathname);
+    if (match && route.method === method) {
+      return { route, params: match.slice(1) };
+    }
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (err) {
+        reject(new HttpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+}
+
+function delay(config) {
+  const offset = config.jitter > 0 ? (Math.random() * 2 - 1) * config.jitter : 0;
+  const ms = Math.max(0, config.latency + offset);
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+function createServer(config) {
+  const routes = createRoutes(createCartStore());
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      await delay(config);
+
+      if (config.errorRate > 0 && Math.random() < config.errorRate) {
+        throw new HttpError(config.errorStatus, 'Injected failure');
+      }
+
+      const matched = matchRoute(routes, req.method, url.pathname);
+      if (!matched) {
+        throw new HttpError(404, `Route ${req.method} ${url.pathname} not found`);
+      }
+
+      if (matched.route.auth && config.requireAuth) {
+        verifyToken(bearerToken(req.headers));
+      }
+
+      const body = await readBody(req);
+      const payload = matched.route.handler({ params: matched.params, query: url.searchParams, body, headers: req.headers });
+      sendJson(res, matched.route.status || 200, payload);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { message: err.message });
+      } else {
+        console.error('Unexpected error handling request:', err);
+        sendJson(res, 500, { message: 'Internal server error' });
+      }
+    }
+  });
+}
+
+if (require.main === module) {
+  const config = readConfig(process.argv.slice(2));
+  createServer(config).listen(config.port, () => {
+    console.log(`DummyJSON mock listening on http://localhost:${config.port}`);
+    console.log(`  Latency: ${config.latency}ms ±${config.jitter}ms`);
+    console.log(`  Error rate: ${(config.errorRate * 100).toFixed(2)}% (status ${config.errorStatus})`);
+    console.log(`  Cart endpoints require auth: ${config.requireAuth ? 'yes' : 'no'}`);
+  });
+}
+
+module.exports = { createServer, readConfig };
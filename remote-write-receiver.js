@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Stub Prometheus remote-write receiver for trying out export-metrics.js
+ *
+ * Usage:
+ * node remote-write-receiver.js [--port 9091] [--verbose] [--out received.ndjson]
+ *
+ * Accepts remote-write requests on any path (e.g. /api/v1/write), decodes them
+ * and logs how many series and samples arrived. --verbose prints every series
+ * with its latest sample, --out appends each decoded series as a JSON line.
+ * Malformed requests get a 400 with the reason, as a real receiver would.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+const snappy = require('./lib/snappy');
+const { decodeWriteRequest } = require('./lib/remote-write');
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '9091' },
+    verbose: { type: 'boolean', default: false },
+    out: { type: 'string' },
+  },
+});
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function describeSeries(series) {
+  const { __name__: name, ...labels } = series.labels;
+  const labelText = Object.entries(labels).map(([key, value]) => `${key}="${value}"`).join(',');
+  const latest = series.samples[series.samples.length - 1];
+  const time = latest ? new Date(latest.timestamp).toISOString() : '-';
+  return `  ${name}{${labelText}} ${latest ? latest.value : '-'} @ ${time} (${series.samples.length} samples)`;
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' });
+    res.end('Only POST is supported\n');
+    return;
+  }
+
+  let timeSeries;
+  try {
+    if (req.headers['content-encoding'] !== 'snappy') {
+      throw new Error('expected Content-Encoding: snappy');
+    }
+    timeSeries = decodeWriteRequest(snappy.decompress(await readBody(req)));
+  } catch (err) {
+    console.error(`❌ Rejected request: ${err.message}`);
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end(`${err.message}\n`);
+    return;
+  }
+
+  const samples = timeSeries.reduce((sum, series) => sum + series.samples.length, 0);
+  console.log(`📥 ${req.url}: ${timeSeries.length} series, ${samples} samples`);
+  if (options.verbose) {
+    timeSeries.forEach(series => console.log(describeSeries(series)));
+  }
+  if (options.out) {
+    fs.appendFileSync(options.out, timeSeries.map(series => `${JSON.stringify(series)}\n`).join(''));
+  }
+
+  res.writeHead(204);
+  res.end();
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Remote-write receiver listening on http://localhost:${options.port}/api/v1/write`);
+});
@@ -0,0 +1,68 @@
+import { loadProfile } from './shared/profiles.js';
+import { loadUsers, userPicker } from './shared/data.js';
+import { loadEnvironment, userOptions, enforceEnvironment, mergeThresholds } from './shared/environments.js';
+import { createClient } from './shared/api.js';
+import { createSessions } from './shared/session.js';
+import { loadReplay, createReplayer } from './shared/replay.js';
+import { summaryOutputs, SUMMARY_TREND_STATS } from './shared/summary.js';
+
+// Target environment - base URL, credentials, allowed profiles, thresholds and
+// limits from environments.json. Select one with -e ENV=local-mock|dev|staging|prod-like
+const ENVIRONMENT = loadEnvironment(__ENV.ENV, (path) => open(path));
+
+// Load profile - stages and thresholds come from profiles.json (default: load).
+// Select another one with -e PROFILE=smoke|load|stress|spike|soak|breakpoint|ci
+const PROFILE = loadProfile(__ENV.PROFILE, (path) => open(path));
+
+// Test configuration
+export const options = {
+  stages: PROFILE.stages,
+  thresholds: mergeThresholds(PROFILE.thresholds, ENVIRONMENT),
+  summaryTrendStats: SUMMARY_TREND_STATS,
+};
+
+// Refuse profiles the environment doesn't allow and loads above its limits
+enforceEnvironment(ENVIRONMENT, PROFILE.name, options);
+
+// Base URL for the API from the environment - override with -e BASE_URL=http://localhost:3000
+// to target the local mock server
+const BASE_URL = __ENV.BASE_URL || ENVIRONMENT.baseUrl;
+
+// Recorded sessions from convert-traffic.js - override with -e REPLAY_FILE=path
+const RECORDED = loadReplay((path) => open(path), __ENV.REPLAY_FILE);
+
+// Users the logged-in sessions are replayed as, from the environment's users file -
+// override with -e USERS_FILE=path, or -e TEST_USERNAME/-e TEST_PASSWORD
+const USERS = loadUsers((path) => open(path), userOptions(ENVIRONMENT, __ENV));
+
+// Replayed bodies need not match the contracts, so only the status is checked
+const api = createClient(BASE_URL);
+
+const sessions = createSessions({
+  api,
+  nextUser: userPicker(USERS, __ENV.USER_DISTRIBUTION),
+  expiresInMins: Number(__ENV.TOKEN_EXPIRES_MINS) || 30,
+});
+
+// Recorded gaps between requests are kept - scale them with -e REPLAY_TIME_SCALE
+// (0.5 replays twice as fast, 0 sends the requests back to back)
+const replayer = createReplayer({
+  api,
+  sessions,
+  recorded: RECORDED,
+  timeScale: __ENV.REPLAY_TIME_SCALE !== undefined ? Number(__ENV.REPLAY_TIME_SCALE) : 1,
+});
+
+export function setup() {
+  return __ENV.SESSION_MODE === 'pool' ? { tokens: sessions.createPool(USERS) } : {};
+}
+
+// Each iteration replays the next recorded session
+export default function(data) {
+  replayer.replay(data);
+}
+
+// End-of-test reports (replay-test-k6-*, or -e SUMMARY_PREFIX=path/name)
+export function handleSummary(data) {
+  return summaryOutputs(data, 'replay-test');
+}
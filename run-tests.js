@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Run k6 test scripts and their analysis and validation, without prompts
+ *
+ * Usage:
+ * node run-tests.js [script.js ...] [options] [-- extra k6 arguments]
+ *
+ * Options:
+ *   -p, --profile NAME       Load profile for the scripts, analysis and validation
+ *                            (smoke, load, stress, spike, soak, breakpoint or ci)
+ *   -d, --duration DURATION  Test duration without a profile (default: 30s)
+ *   -u, --vus USERS          Virtual users without a profile (default: 10)
+ *   -a, --advanced           Run dummyjson-advanced-test.js (added to the scripts given)
+ *   -e, --env NAME=VALUE     Environment variable for the scripts (repeatable), e.g. BASE_URL=...
+ *   --environment NAME       Target environment from environments.json (local-mock, dev, staging,
+ *                            prod-like) for the scripts, analysis and validation
+ *   --results-dir DIR        Where result files are written (default: results)
+ *   --config FILE            Thresholds file for validation instead of the profile's
+ *   --html                   Write an HTML report per script
+ *   --junit                  Write a JUnit report per script
+ *   --markdown FILE          Append the validation summaries to FILE, e.g. "$GITHUB_STEP_SUMMARY"
+ *   --warmup DURATION|stage  Leave the start of each run out of the thresholds of analysis and validation
+ *   --rampdown DURATION|stage  Leave the end of each run out of them
+ *   --no-analyze             Skip analyze-results.js
+ *   --no-validate            Skip validate-results.js
+ *   --fail-fast              Stop after the first script that fails
+ *
+ * Scripts default to dummyjson-test.js and run one after the other. Each run
+ * writes results/<script>-<timestamp>.json (--out json) and
+ * <script>-<timestamp>-summary.json (--summary-export), plus the
+ * <script>-<timestamp>-k6-* reports of the scripts' handleSummary(). The
+ * scripts' console output, including the failed-request samples, goes to
+ * <script>-<timestamp>-console.log. Then the results are analyzed, which also
+ * records them in the run history, and validated.
+ * Arguments after "--" are passed to every k6 run unchanged.
+ *
+ * With --environment the scripts run with -e ENV=NAME, and nothing is run
+ * when the environment doesn't allow the profile or --vus exceeds its maxVUs.
+ *
+ * Exit code: 0 when every run, analysis and validation passed, 1 when
+ * thresholds or checks failed, 2 when k6 or a tool could not run at all.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { loadProfile } = require('./lib/profiles');
+const { loadEnvironment, environmentViolations } = require('./lib/environments');
+const { loadWorkload, buildScenarios } = require('./lib/workload');
+
+// Exit codes, a higher one wins when combining
+const SUCCESS = 0;
+const FAILURE = 1;
+const ERROR = 2;
+
+// k6 exits with this when thresholds were crossed
+const K6_THRESHOLDS_FAILED = 99;
+
+const DEFAULT_SCRIPT = 'dummyjson-test.js';
+const ADVANCED_SCRIPT = 'dummyjson-advanced-test.js';
+const BREAKPOINT_SCRIPT = 'breakpoint-test.js';
+const BREAKPOINT_CONFIG = 'breakpoint-config.json';
+
+// The profile the scripts load without -e PROFILE, as in shared/profiles.js
+const DEFAULT_PROFILE = 'load';
+
+// Used when no profile is given, as the earlier shell runner did
+const DEFAULT_DURATION = '30s';
+const DEFAULT_VUS = '10';
+
+// Everything after "--" goes to k6 as is
+const separator = process.argv.indexOf('--');
+const runnerArgs = separator === -1 ? process.argv.slice(2) : process.argv.slice(2, separator);
+const k6ExtraArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
+
+const { values: options, positionals } = parseArgs({
+  args: runnerArgs,
+  allowPositionals: true,
+  options: {
+    profile: { type: 'string', short: 'p' },
+    duration: { type: 'string', short: 'd' },
+    vus: { type: 'string', short: 'u' },
+    advanced: { type: 'boolean', short: 'a', default: false },
+    env: { type: 'string', short: 'e', multiple: true, default: [] },
+    environment: { type: 'string' },
+    'results-dir': { type: 'string', default: 'results' },
+    config: { type: 'string' },
+    html: { type: 'boolean', default: false },
+    junit: { type: 'boolean', default: false },
+    markdown: { type: 'string' },
+    warmup: { type: 'string' },
+    rampdown: { type: 'string' },
+    'no-analyze': { type: 'boolean', default: false },
+    'no-validate': { type: 'boolean', default: false },
+    'fail-fast': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+if (options.help) {
+  console.log('Usage: node run-tests.js [script.js ...] [--profile NAME] [-e NAME=VALUE] [--html] [--junit] [-- k6 args]');
+  console.log('See the comment at the top of run-tests.js for all options.');
+  process.exit(SUCCESS);
+}
+
+const scripts = positionals.concat(options.advanced ? [ADVANCED_SCRIPT] : []);
+if (scripts.length === 0) {
+  scripts.push(DEFAULT_SCRIPT);
+}
+
+function timestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Run a command with inherited output, resolving with its exit code.
+ * Rejects only when it cannot be started at all (e.g. k6 not installed).
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve(signal ? ERROR : code));
+  });
+}
+
+function runNode(script, args) {
+  return run(process.execPath, [path.join(__dirname, script), ...args]);
+}
+
+function k6Args(script, files) {
+  const args = ['run'];
+  options.env.forEach(pair => {
+    if (!pair.includes('=')) {
+      throw new Error(`Invalid --env "${pair}", expected NAME=VALUE`);
+    }
+    args.push('-e', pair);
+  });
+  if (options.environment) {
+    args.push('-e', `ENV=${options.environment}`);
+  }
+  if (options.profile) {
+    args.push('-e', `PROFILE=${options.profile}`);
+  } else {
+    args.push('--vus', options.vus || DEFAULT_VUS, '--duration', options.duration || DEFAULT_DURATION);
+  }
+  // The scripts' handleSummary() writes its reports next to the other files
+  args.push('-e', `SUMMARY_PREFIX=${files.base}`);
+  args.push('--out', `json=${files.results}`, '--summary-export', files.summary);
+  args.push('--console-output', files.console);
+  return args.concat(k6ExtraArgs, [script]);
+}
+
+// --warmup/--rampdown as given, for both the analyzer and the validator
+function windowArgs() {
+  const args = [];
+  if (options.warmup) args.push('--warmup', options.warmup);
+  if (options.rampdown) args.push('--rampdown', options.rampdown);
+  return args;
+}
+
+// Run one script with its analysis and validation, returning a status per step
+async function runScript(script) {
+  const base = path.join(options['results-dir'], `${path.basename(script, '.js')}-${timestamp()}`);
+  const files = {
+    base,
+    results: `${base}.json`,
+    summary: `${base}-summary.json`,
+    html: `${base}-report.html`,
+    junit: `${base}-validation.xml`,
+    console: `${base}-console.log`,
+  };
+  const outcome = { script, files, k6: undefined, analysis: undefined, validation: undefined };
+
+  console.log(`\n===== ${script} =====\n`);
+  console.log(`  Profile: ${options.profile || `none (${options.vus || DEFAULT_VUS} VUs for ${options.duration || DEFAULT_DURATION})`}`);
+  if (options.environment) {
+    console.log(`  Environment: ${options.environment}`);
+  }
+  console.log(`  Results: ${files.results}`);
+  console.log(`  Summary: ${files.summary}\n`);
+
+  let code;
+  try {
+    code = await run('k6', k6Args(script, files));
+  } catch (err) {
+    console.error(err.code === 'ENOENT'
+      ? '❌ k6 is not installed or not on the PATH, see https://grafana.com/docs/k6/latest/set-up/install-k6/'
+      : `❌ Could not start k6: ${err.message}`);
+    outcome.k6 = ERROR;
+    return outcome;
+  }
+  outcome.k6 = code === SUCCESS ? SUCCESS : code === K6_THRESHOLDS_FAILED ? FAILURE : ERROR;
+
+  // A run that crashed early may not have written any results to look at
+  if (!fs.existsSync(files.results) || fs.statSync(files.results).size === 0) {
+    console.error(`❌ k6 exited with ${code} without writing results`);
+    outcome.k6 = ERROR;
+    return outcome;
+  }
+
+  if (!options['no-analyze']) {
+    const args = [files.results, '--script', script, '--history', path.join(options['results-dir'], 'history.jsonl')];
+    if (options.profile) args.push('--profile', options.profile);
+    if (options.config) args.push('--config', options.config);
+    if (options.environment) args.push('--environment', options.environment);
+    if (options.html) args.push('--html', files.html);
+    if (fs.existsSync(files.console)) args.push('--failures', files.console);
+    args.push(...windowArgs());
+    outcome.analysis = (await runNode('analyze-results.js', args)) === SUCCESS ? SUCCESS : ERROR;
+  }
+
+  if (!options['no-validate']) {
+    const args = [files.results];
+    if (options.config) {
+      args.push('--config', options.config);
+    } else if (options.profile) {
+      args.push('--profile', options.profile);
+    }
+    if (options.environment) args.push('--environment', options.environment);
+    if (options.junit) args.push('--junit', files.junit);
+    if (options.markdown) args.push('--markdown', options.markdown);
+    args.push(...windowArgs());
+    outcome.validation = (await runNode('validate-results.js', args)) === SUCCESS ? SUCCESS : FAILURE;
+  }
+
+  return outcome;
+}
+
+function describe(status) {
+  if (status === undefined) return '-';
+  return status === SUCCESS ? 'passed' : status === FAILURE ? 'failed' : 'error';
+}
+
+// The -e NAME=VALUE pairs as an object, as the scripts see them in __ENV
+function scriptVariables() {
+  return Object.fromEntries(options.env.map(pair => [pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1)]));
+}
+
+// The profile name and options a script checks against the environment in its
+// init context, built the way the script builds them
+function scriptLoad(script, variables) {
+  const profile = loadProfile(options.profile || DEFAULT_PROFILE);
+  switch (path.basename(script)) {
+    case ADVANCED_SCRIPT:
+      return { profile: profile.name, options: { scenarios: buildScenarios(loadWorkload(variables.WORKLOAD), profile) } };
+    case BREAKPOINT_SCRIPT: {
+      const config = JSON.parse(fs.readFileSync(path.resolve(__dirname, variables.CAPACITY_CONFIG || BREAKPOINT_CONFIG), 'utf8'));
+      const maxVUs = variables.MAX_VUS !== undefined ? Number(variables.MAX_VUS) : config.maxVUs;
+      return { profile: 'breakpoint', options: { scenarios: { breakpoint: { executor: 'ramping-arrival-rate', maxVUs } } } };
+    }
+    default:
+      return { profile: profile.name, options: { stages: profile.stages } };
+  }
+}
+
+// Reasons the --environment refuses each script, checked before starting k6:
+// what the script itself would refuse in its init context, and the --vus of a
+// run without a profile, which the script doesn't see
+function environmentCheck() {
+  if (!options.environment) {
+    return [];
+  }
+  const environment = loadEnvironment(options.environment);
+  const variables = scriptVariables();
+  const reasons = scripts.flatMap(script => {
+    const load = scriptLoad(script, variables);
+    return environmentViolations(environment, load.profile, load.options).map(reason => `${script}: ${reason}`);
+  });
+  const vus = Number(options.vus || DEFAULT_VUS);
+  if (!options.profile && environment.limits.maxVUs !== undefined && vus > environment.limits.maxVUs) {
+    reasons.push(`with --vus ${vus}: above the limit of ${environment.limits.maxVUs} for ${environment.name}`);
+  }
+  return reasons;
+}
+
+async function main() {
+  const violations = environmentCheck();
+  if (violations.length > 0) {
+    violations.forEach(reason => console.error(`❌ Not running ${reason}`));
+    return ERROR;
+  }
+
+  fs.mkdirSync(options['results-dir'], { recursive: true });
+
+  const outcomes = [];
+  for (const script of scripts) {
+    const outcome = await runScript(script);
+    outcomes.push(outcome);
+    const status = Math.max(outcome.k6, outcome.analysis || SUCCESS, outcome.validation || SUCCESS);
+    if (status !== SUCCESS && options['fail-fast']) {
+      console.log(`\n⚠️  Stopping after ${script} (--fail-fast)`);
+      break;
+    }
+  }
+
+  console.log('\n===== Test Run Summary =====\n');
+  const width = Math.max(6, ...outcomes.map(outcome => outcome.script.length));
+  console.log(`   ${'Script'.padEnd(width)}  ${['k6', 'Analysis', 'Validation'].map(c => c.padEnd(12)).join('').trimEnd()}`);
+
+  let exitCode = SUCCESS;
+  outcomes.forEach(outcome => {
+    const steps = [outcome.k6, outcome.analysis, outcome.validation];
+    const status = Math.max(...steps.map(step => step || SUCCESS));
+    exitCode = Math.max(exitCode, status);
+    const icon = status === SUCCESS ? '✅' : '❌';
+    console.log(`${icon} ${outcome.script.padEnd(width)}  ${steps.map(step => describe(step).padEnd(12)).join('').trimEnd()}`);
+  });
+  if (outcomes.length < scripts.length) {
+    console.log(`⚠️  ${scripts.length - outcomes.length} script(s) not run`);
+  }
+
+  console.log(exitCode === SUCCESS ? '\n✅ All runs passed' : `\n❌ Finished with exit code ${exitCode}`);
+  return exitCode;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(err => {
+    console.error('Error running the tests:', err);
+    process.exit(ERROR);
+  });
@@ -0,0 +1,157 @@
+/**
+ * DummyJSON API client shared by the test scripts
+ *
+ * One function per endpoint, each returning the k6 response. Every request is
+ * tagged with the flow step it belongs to (type) and its URL template (name),
+ * so /products/1 and /products/2 end up in the same series. Callers can add
+ * or override tags, e.g. { tags: { type: 'checkout' } } for a cart read made
+ * during checkout.
+ *
+ * Successful responses are checked against the endpoint's contract from
+ * contracts.js, for the share of responses given by options.schemaSampleRate.
+ * Failed responses, and successful ones whose body is not JSON, sampled or not,
+ * are recorded in the errors counter by errors.js.
+ *
+ * options.tags is a function returning tags to add to every request, called
+ * as each request is made so they can change during an iteration, e.g. the
+ * breakpoint test's current step.
+ *
+ * params.expectedStatuses lists failure statuses a caller expects, e.g. [404]
+ * when probing whether the server keeps carts. Such responses are neither
+ * counted in http_req_failed nor recorded as errors.
+ */
+
+import http from 'k6/http';
+import { createContractValidator } from './contracts.js';
+import { recordResponse, recordParseError } from './errors.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+/**
+ * Parse a response body as JSON, returning null instead of throwing when the
+ * body is empty or not JSON (e.g. an HTML error page), so it is safe in checks
+ */
+export function safeJson(response) {
+  try {
+    return response.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Merge the caller's params over the endpoint's default headers and tags
+function withParams(type, name, params = {}, clientTags = {}) {
+  const { expectedStatuses, ...rest } = params;
+  const request = {
+    ...rest,
+    headers: params.headers || JSON_HEADERS,
+    tags: { ...clientTags, type, name, ...params.tags },
+  };
+  if (expectedStatuses) {
+    request.responseCallback = http.expectedStatuses({ min: 200, max: 399 }, ...expectedStatuses);
+  }
+  return request;
+}
+
+export function createClient(baseUrl, options = {}) {
+  const validateContract = createContractValidator(options.schemaSampleRate);
+
+  // Endpoint params plus the client's own tags, taken when the request is made
+  function requestParams(type, name, params) {
+    return withParams(type, name, params, options.tags ? options.tags() : undefined);
+  }
+
+  // Record a failed response or a 2xx one that isn't JSON, validate a 2xx one
+  // against its contract, and pass it through
+  function checked(endpoint, response, request, params = {}) {
+    if (!(params.expectedStatuses || []).includes(response.status)) {
+      recordResponse(response, request.tags);
+    }
+    // 204 No Content is the only success without a JSON body
+    if (response.status >= 200 && response.status < 300 && response.status !== 204) {
+      const body = safeJson(response);
+      if (body === null) {
+        recordParseError(response, request.tags);
+      }
+      if (endpoint) {
+        validateContract(endpoint, () => body);
+      }
+    }
+    return response;
+  }
+
+  return {
+    // Auth
+
+    login(username, password, expiresInMins, params) {
+      const body = JSON.stringify({ username, password, expiresInMins });
+      const request = requestParams('login', '/auth/login', params);
+      return checked('login', http.post(`${baseUrl}/auth/login`, body, request), request, params);
+    },
+
+    refresh(refreshToken, expiresInMins, params) {
+      const body = JSON.stringify({ refreshToken, expiresInMins });
+      const request = requestParams('auth', '/auth/refresh', params);
+      return checked('refresh', http.post(`${baseUrl}/auth/refresh`, body, request), request, params);
+    },
+
+    me(params) {
+      const request = requestParams('auth', '/auth/me', params);
+      return checked(null, http.get(`${baseUrl}/auth/me`, request), request, params);
+    },
+
+    // Products
+
+    listProducts(limit, skip, params) {
+      const request = requestParams('products', '/products', params);
+      return checked('product_list', http.get(`${baseUrl}/products?limit=${limit}&skip=${skip}`, request), request, params);
+    },
+
+    productsByCategory(category, params) {
+      const request = requestParams('products', '/products/category/:category', params);
+      return checked('category', http.get(`${baseUrl}/products/category/${encodeURIComponent(category)}`, request), request, params);
+    },
+
+    searchProducts(query, params) {
+      const request = requestParams('search', '/products/search', params);
+      return checked('search', http.get(`${baseUrl}/products/search?q=${encodeURIComponent(query)}`, request), request, params);
+    },
+
+    getProduct(id, params) {
+      const request = requestParams('product_detail', '/products/:id', params);
+      return checked('product', http.get(`${baseUrl}/products/${id}`, request), request, params);
+    },
+
+    // Carts - products are [{ id, quantity }]
+
+    addCart(userId, products, params) {
+      const body = JSON.stringify({ userId, products });
+      const request = requestParams('cart', '/carts/add', params);
+      return checked('cart', http.post(`${baseUrl}/carts/add`, body, request), request, params);
+    },
+
+    userCarts(userId, params) {
+      const request = requestParams('cart', '/carts/user/:id', params);
+      return checked('user_carts', http.get(`${baseUrl}/carts/user/${userId}`, request), request, params);
+    },
+
+    // merge adds the products to the cart's current ones instead of replacing them
+    updateCart(cartId, products, merge, params) {
+      const body = JSON.stringify({ merge, products });
+      const request = requestParams('cart', '/carts/:id', params);
+      return checked('cart', http.put(`${baseUrl}/carts/${cartId}`, body, request), request, params);
+    },
+
+    deleteCart(cartId, params) {
+      const request = requestParams('cart', '/carts/:id', params);
+      return checked('deleted_cart', http.del(`${baseUrl}/carts/${cartId}`, null, request), request, params);
+    },
+
+    // Any request, e.g. one replayed from recorded traffic (replay.js); name is its URL template
+
+    request(method, path, body, name, params) {
+      const request = requestParams('replay', name, params);
+      return checked(null, http.request(method, `${baseUrl}${path}`, body, request), request, params);
+    },
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Stepped arrival-rate schedule for the breakpoint test
+ *
+ * The rate of iterations started per second goes up in steps: a short ramp to
+ * the next rate, then a hold at it for stepDuration. Every request is tagged
+ * target_rate=<iterations per second> with the rate of the step it is sent
+ * in, and phase=ramp or phase=hold, so find-capacity.js can judge each held
+ * step on its own.
+ *
+ * The schedule and the SLO come from breakpoint-config.json, or the file given
+ * with -e CAPACITY_CONFIG=path, and can be overridden with -e START_RATE,
+ * RATE_STEP, STEPS, STEP_DURATION, RAMP_DURATION, PRE_ALLOCATED_VUS, MAX_VUS, SLO_P95,
+ * SLO_ERROR_RATE and ABORT_ON_FAIL=true.
+ */
+
+import exec from 'k6/execution';
+import { parseDuration } from './profiles.js';
+
+const CONFIG_FILE = './breakpoint-config.json';
+
+// Tags holding the rate of the current step and whether it is ramping to it or held
+export const RATE_TAG = 'target_rate';
+export const PHASE_TAG = 'phase';
+
+/**
+ * Load the capacity config, with the overrides from env applied
+ */
+export function loadCapacityConfig(readFile, env) {
+  const config = JSON.parse(readFile(env.CAPACITY_CONFIG || CONFIG_FILE));
+  const number = (name, value) => (env[name] !== undefined ? Number(env[name]) : value);
+
+  return {
+    startRate: number('START_RATE', config.startRate),
+    rateStep: number('RATE_STEP', config.rateStep),
+    steps: number('STEPS', config.steps),
+    stepDuration: env.STEP_DURATION || config.stepDuration,
+    rampDuration: env.RAMP_DURATION || config.rampDuration,
+    preAllocatedVUs: number('PRE_ALLOCATED_VUS', config.preAllocatedVUs),
+    maxVUs: number('MAX_VUS', config.maxVUs),
+    slo: {
+      p95: number('SLO_P95', config.slo.p95),
+      errorRate: number('SLO_ERROR_RATE', config.slo.errorRate),
+    },
+    abortOnFail: env.ABORT_ON_FAIL !== undefined ? env.ABORT_ON_FAIL === 'true' : Boolean(config.abortOnFail),
+  };
+}
+
+// Iterations per second of step index (0-based)
+function stepRate(config, index) {
+  return config.startRate + index * config.rateStep;
+}
+
+/**
+ * ramping-arrival-rate stages: a ramp and a hold per step
+ */
+export function steppedStages(config) {
+  const stages = [];
+  for (let index = 0; index < config.steps; index++) {
+    const target = stepRate(config, index);
+    stages.push({ duration: config.rampDuration, target });
+    stages.push({ duration: config.stepDuration, target });
+  }
+  return stages;
+}
+
+/**
+ * Thresholds for the SLO. With abortOnFail the test stops once the whole-run
+ * values breach it, which lags behind the step that caused it; the per-step
+ * judgement is left to find-capacity.js.
+ */
+export function sloThresholds(config) {
+  const delayAbortEval = config.stepDuration;
+  const threshold = (expression) => (config.abortOnFail
+    ? [{ threshold: expression, abortOnFail: true, delayAbortEval }]
+    : [expression]);
+
+  return {
+    http_req_duration: threshold(`p(95)<${config.slo.p95}`),
+    http_req_failed: threshold(`rate<${config.slo.errorRate}`),
+  };
+}
+
+/**
+ * Tags of the step the scenario is in right now: target_rate and phase. None
+ * in setup(), e.g. for the session pool's logins, which is outside the scenario
+ */
+export function stepTags(config) {
+  let startTime;
+  try {
+    startTime = exec.scenario.startTime;
+  } catch (err) {
+    return {};
+  }
+  const ramp = parseDuration(config.rampDuration);
+  const block = ramp + parseDuration(config.stepDuration);
+  const elapsed = (Date.now() - startTime) / 1000;
+  const index = Math.min(Math.floor(elapsed / block), config.steps - 1);
+
+  return {
+    [RATE_TAG]: String(stepRate(config, index)),
+    [PHASE_TAG]: elapsed - index * block < ramp ? 'ramp' : 'hold',
+  };
+}
+
+/**
+ * Tag this VU's metrics with the step the scenario is in, called at the
+ * start of every iteration. The iterations metric then counts the iteration
+ * in the step it started in; requests carry stepTags() from when they are
+ * sent, as an iteration with think times can run into the next step
+ */
+export function tagStep(config) {
+  Object.assign(exec.vu.metrics.tags, stepTags(config));
+}
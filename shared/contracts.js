@@ -0,0 +1,210 @@
+/**
+ * Response contracts for the DummyJSON endpoints
+ *
+ * Each contract is a JSON-Schema-style description of a successful response.
+ * Only the keywords used here are supported by validateSchema(): type,
+ * required, properties, items, minItems, minimum, maximum, minLength, pattern
+ * and enum. Fields a contract doesn't mention are allowed, so the real API
+ * adding fields doesn't break the tests.
+ *
+ * Validation results go to the schema_violations rate, tagged by endpoint.
+ * Validating every response costs VU CPU, so a sample rate below 1 checks only
+ * that share of the responses.
+ */
+
+import { Rate } from 'k6/metrics';
+
+const schemaViolations = new Rate('schema_violations');
+
+const JWT_PATTERN = '^[\\w-]+\\.[\\w-]+\\.[\\w-]+$';
+
+const PRODUCT = {
+  type: 'object',
+  required: ['id', 'title', 'category', 'price', 'discountPercentage', 'rating', 'stock', 'thumbnail'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    category: { type: 'string', minLength: 1 },
+    price: { type: 'number', minimum: 0 },
+    discountPercentage: { type: 'number', minimum: 0, maximum: 100 },
+    rating: { type: 'number', minimum: 0, maximum: 5 },
+    stock: { type: 'integer', minimum: 0 },
+    brand: { type: 'string' },
+    thumbnail: { type: 'string', minLength: 1 },
+  },
+};
+
+function productPage(minItems) {
+  return {
+    type: 'object',
+    required: ['products', 'total', 'skip', 'limit'],
+    properties: {
+      products: { type: 'array', items: PRODUCT, minItems },
+      total: { type: 'integer', minimum: 0 },
+      skip: { type: 'integer', minimum: 0 },
+      limit: { type: 'integer', minimum: 0 },
+    },
+  };
+}
+
+const CART = {
+  type: 'object',
+  required: ['id', 'products', 'total', 'discountedTotal', 'userId', 'totalProducts', 'totalQuantity'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    products: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'title', 'price', 'quantity', 'total', 'discountedTotal'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          title: { type: 'string' },
+          price: { type: 'number', minimum: 0 },
+          quantity: { type: 'integer', minimum: 1 },
+          total: { type: 'number', minimum: 0 },
+          discountPercentage: { type: 'number', minimum: 0, maximum: 100 },
+          discountedTotal: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+    total: { type: 'number', minimum: 0 },
+    discountedTotal: { type: 'number', minimum: 0 },
+    userId: { type: 'integer', minimum: 1 },
+    totalProducts: { type: 'integer', minimum: 0 },
+    totalQuantity: { type: 'integer', minimum: 0 },
+  },
+};
+
+export const CONTRACTS = {
+  login: {
+    type: 'object',
+    required: ['id', 'username', 'email', 'accessToken', 'refreshToken'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      username: { type: 'string', minLength: 1 },
+      email: { type: 'string', pattern: '@' },
+      accessToken: { type: 'string', pattern: JWT_PATTERN },
+      refreshToken: { type: 'string', pattern: JWT_PATTERN },
+    },
+  },
+  refresh: {
+    type: 'object',
+    required: ['accessToken', 'refreshToken'],
+    properties: {
+      accessToken: { type: 'string', pattern: JWT_PATTERN },
+      refreshToken: { type: 'string', pattern: JWT_PATTERN },
+    },
+  },
+  product_list: productPage(1),
+  category: productPage(1),
+  search: productPage(0),
+  product: PRODUCT,
+  cart: CART,
+  deleted_cart: {
+    ...CART,
+    required: [...CART.required, 'isDeleted'],
+    properties: { ...CART.properties, isDeleted: { enum: [true] } },
+  },
+  user_carts: {
+    type: 'object',
+    required: ['carts', 'total'],
+    properties: {
+      carts: { type: 'array', items: CART },
+      total: { type: 'integer', minimum: 0 },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate value against schema, returning a list of "path: problem" strings
+ * (empty when it matches)
+ */
+export function validateSchema(schema, value, path = '$') {
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(type, actual))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: ${value} is below ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: ${value} is above ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: shorter than ${schema.minLength}`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: missing`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Return a function(endpoint, readBody) that validates a sampled share of the
+ * responses against CONTRACTS[endpoint] and records the result. readBody is
+ * only called for sampled responses and returns the parsed body, or null when
+ * it isn't JSON, which counts as a violation.
+ */
+export function createContractValidator(sampleRate = 1) {
+  // Endpoints this VU already logged a violation for, to keep the output readable
+  const reported = {};
+
+  return function validateContract(endpoint, readBody) {
+    if (sampleRate <= 0 || Math.random() >= sampleRate) {
+      return;
+    }
+
+    const body = readBody();
+    const errors = body === null
+      ? ['$: body is not JSON']
+      : validateSchema(CONTRACTS[endpoint], body);
+    schemaViolations.add(errors.length > 0, { endpoint });
+
+    if (errors.length > 0 && !reported[endpoint]) {
+      reported[endpoint] = true;
+      console.warn(`Schema violation on ${endpoint}: ${errors.slice(0, 5).join('; ')}`);
+    }
+  };
+}
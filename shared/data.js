@@ -0,0 +1,85 @@
+/**
+ * Test data shared by the test scripts
+ *
+ * Users come from a CSV (username,password header) or JSON array file, and the
+ * categories, search terms and product ID range from a catalog JSON file. Both
+ * are held in SharedArrays so every VU reads the same copy instead of parsing
+ * its own. As with the profiles, files are read through the readFile callback,
+ * passed by the calling script as (path) => open(path).
+ */
+
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import papaparse from 'https://jslib.k6.io/papaparse/5.1.1/index.js';
+
+export const DEFAULT_USERS_FILE = './data/users.csv';
+export const DEFAULT_CATALOG_FILE = './data/catalog.json';
+
+/**
+ * Load the user pool as [{ username, password }]
+ *
+ * options.file selects another data file. options.username replaces the pool
+ * with a single user, and options.password fills in any user without one, so
+ * real credentials can be passed from the environment instead of committed.
+ * With options.passwordsFromEnv a file holding passwords is refused, so a
+ * committed password can never be used in place of options.password.
+ */
+export function loadUsers(readFile, options = {}) {
+  return new SharedArray('users', () => {
+    let users;
+    if (options.username) {
+      users = [{ username: options.username }];
+    } else {
+      const file = options.file || DEFAULT_USERS_FILE;
+      users = file.endsWith('.json')
+        ? JSON.parse(readFile(file))
+        : papaparse.parse(readFile(file), { header: true, skipEmptyLines: true }).data;
+    }
+
+    if (options.passwordsFromEnv && users.some(user => user.password)) {
+      throw new Error(`${options.file || DEFAULT_USERS_FILE} holds passwords, but they must come from -e TEST_PASSWORD; use a usernames-only file`);
+    }
+
+    users = users
+      .filter(user => user.username)
+      .map(user => ({ username: user.username, password: user.password || options.password }));
+    if (users.length === 0) {
+      throw new Error('The user pool is empty');
+    }
+    return users;
+  });
+}
+
+/**
+ * Return a function picking the user for the current iteration
+ *
+ * - unique: each VU keeps its own user for the whole test; aborts when there
+ *   are more VUs than users
+ * - round-robin: iterations take the users in turn
+ * - random: any user, each iteration
+ */
+export function userPicker(users, strategy = 'round-robin') {
+  switch (strategy) {
+    case 'unique':
+      return () => {
+        const index = exec.vu.idInTest - 1;
+        if (index >= users.length) {
+          exec.test.abort(`USER_DISTRIBUTION=unique needs a user per VU, but VU ${exec.vu.idInTest} found only ${users.length} users`);
+        }
+        return users[index];
+      };
+    case 'round-robin':
+      return () => users[exec.scenario.iterationInTest % users.length];
+    case 'random':
+      return () => users[Math.floor(Math.random() * users.length)];
+    default:
+      throw new Error(`Unknown USER_DISTRIBUTION "${strategy}". Use unique, round-robin or random`);
+  }
+}
+
+/**
+ * Load the catalog as { categories, searchTerms, productIds: { min, max } }
+ */
+export function loadCatalog(readFile, file = DEFAULT_CATALOG_FILE) {
+  return new SharedArray('catalog', () => [JSON.parse(readFile(file))])[0];
+}
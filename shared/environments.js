@@ -0,0 +1,159 @@
+/**
+ * Target environments for the test scripts
+ *
+ * environments.json describes each system the tests run against: its base
+ * URL, where the test users' credentials come from, which load profiles may
+ * run there, thresholds that apply to it, and safety limits such as the most
+ * VUs a shared environment may see. An environment is selected with
+ * -e ENV=<name>; without one the scripts target the public DummyJSON service
+ * without any restrictions, as before.
+ *
+ * Credentials with "source": "file" are read from the usersFile (or
+ * USERS_FILE). With "source": "env" the passwords are never committed: they
+ * must come from -e TEST_PASSWORD, for the single -e TEST_USERNAME or every
+ * user of the usersFile, which may only hold usernames.
+ */
+
+const ENVIRONMENTS_FILE = './environments.json';
+
+export const DEFAULT_BASE_URL = 'https://dummyjson.com';
+
+const CREDENTIAL_SOURCES = ['file', 'env'];
+
+// No ENV: the scripts' own defaults
+const NO_ENVIRONMENT = {
+  name: null,
+  baseUrl: DEFAULT_BASE_URL,
+  credentials: { source: 'file' },
+  profiles: null,
+  thresholds: {},
+  limits: {},
+};
+
+/**
+ * Load the environment called name, returning
+ * { name, baseUrl, credentials, profiles, thresholds, limits }
+ */
+export function loadEnvironment(name, readFile) {
+  if (!name) {
+    return NO_ENVIRONMENT;
+  }
+
+  const environments = JSON.parse(readFile(ENVIRONMENTS_FILE));
+  const environment = environments[name];
+  if (!environment) {
+    throw new Error(`Unknown ENV "${name}". Available environments: ${Object.keys(environments).join(', ')}`);
+  }
+  const credentials = environment.credentials || { source: 'file' };
+  if (!CREDENTIAL_SOURCES.includes(credentials.source)) {
+    throw new Error(`Environment "${name}" has unknown credentials source "${credentials.source}". Use ${CREDENTIAL_SOURCES.join(' or ')}`);
+  }
+  return {
+    name,
+    baseUrl: environment.baseUrl || DEFAULT_BASE_URL,
+    credentials,
+    profiles: environment.profiles || null,
+    thresholds: environment.thresholds || {},
+    limits: environment.limits || {},
+  };
+}
+
+/**
+ * The options for loadUsers() in data.js: USERS_FILE, TEST_USERNAME and
+ * TEST_PASSWORD as before, with the environment's usersFile as the default
+ */
+export function userOptions(environment, env) {
+  const { credentials } = environment;
+  if (credentials.source === 'env' && !env.TEST_PASSWORD) {
+    throw new Error(`Environment "${environment.name}" takes its credentials from the environment: set -e TEST_PASSWORD`
+      + (credentials.usersFile ? '' : ' and -e TEST_USERNAME'));
+  }
+  if (credentials.source === 'env' && !credentials.usersFile && !env.TEST_USERNAME && !env.USERS_FILE) {
+    throw new Error(`Environment "${environment.name}" has no users file: set -e TEST_USERNAME`);
+  }
+  return {
+    file: env.USERS_FILE || credentials.usersFile,
+    username: env.TEST_USERNAME,
+    password: env.TEST_PASSWORD,
+    passwordsFromEnv: credentials.source === 'env',
+  };
+}
+
+// The expression of a threshold given as a string or as { threshold, abortOnFail }
+function thresholdSource(expression) {
+  return typeof expression === 'string' ? expression : expression.threshold;
+}
+
+/**
+ * The given thresholds with the environment's added. For a metric both name,
+ * the expressions of both apply, so an environment never removes a profile's
+ * threshold (such as breakpoint's abortOnFail ones). lib/environments.js merges the same way for the analyzer
+ * and the validator.
+ */
+export function mergeThresholds(thresholds, environment) {
+  const merged = { ...thresholds };
+  Object.entries(environment.thresholds).forEach(([metric, expressions]) => {
+    const existing = merged[metric] || [];
+    const sources = existing.map(thresholdSource);
+    merged[metric] = existing.concat(expressions.filter(expression => !sources.includes(thresholdSource(expression))));
+  });
+  return merged;
+}
+
+// Most VUs a scenario can run at once
+function scenarioVUs(scenario) {
+  if (scenario.executor.includes('arrival-rate')) {
+    return scenario.maxVUs || scenario.preAllocatedVUs || 0;
+  }
+  if (scenario.stages) {
+    return Math.max(scenario.startVUs || 0, ...scenario.stages.map(stage => stage.target));
+  }
+  return scenario.vus || 1;
+}
+
+/**
+ * Most VUs the script's options can run at once, counting all scenarios as
+ * if they overlapped
+ */
+export function peakVUs(options) {
+  if (options.scenarios) {
+    return Object.values(options.scenarios).reduce((sum, scenario) => sum + scenarioVUs(scenario), 0);
+  }
+  if (options.stages) {
+    return Math.max(0, ...options.stages.map(stage => stage.target));
+  }
+  return options.vus || 1;
+}
+
+/**
+ * Reasons the environment refuses a script's options under the named
+ * profile, empty when it allows them. lib/environments.js does the same for
+ * run-tests.js, so it refuses these runs before starting k6.
+ */
+export function environmentViolations(environment, profileName, options) {
+  if (!environment.name) {
+    return [];
+  }
+  const reasons = [];
+  if (environment.profiles && !environment.profiles.includes(profileName)) {
+    reasons.push(`Profile "${profileName}" is not allowed on ${environment.name}. Allowed profiles: ${environment.profiles.join(', ')}`);
+  }
+  const vus = peakVUs(options);
+  if (environment.limits.maxVUs !== undefined && vus > environment.limits.maxVUs) {
+    reasons.push(`The test can reach ${vus} VUs, above the limit of ${environment.limits.maxVUs} for ${environment.name}`);
+  }
+  return reasons;
+}
+
+/**
+ * Refuse to run a profile the environment doesn't allow, or options that
+ * exceed its limits. Called in the init context, so k6 stops before any
+ * request is sent. VUs set on the k6 command line (--vus, --stages) are not
+ * visible to the script; run-tests.js checks its own --vus.
+ */
+export function enforceEnvironment(environment, profileName, options) {
+  const reasons = environmentViolations(environment, profileName, options);
+  if (reasons.length > 0) {
+    throw new Error(reasons.join('; '));
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Failure classification and failed-request sampling
+ *
+ * Every failure is counted in the errors counter, tagged with its category:
+ *
+ *   timeout     no response within the request timeout (status 0)
+ *   connection  any other request that got no response (status 0)
+ *   http_4xx    client errors, with the status in the code tag
+ *   http_5xx    server errors, with the status in the code tag
+ *   check       a failed check, with its name in the check tag
+ *   json_parse  a 2xx response (other than 204) whose body is not JSON
+ *
+ * plus the request's type and name tags where known. check() below is a
+ * drop-in for k6's that records which assertions failed.
+ *
+ * The first failures of each VU are also logged as one line each, starting
+ * with FAILURE_SAMPLE and holding the URL, status, error, truncated body, VU
+ * and iteration as JSON. Run k6 with --console-output=failures.log to get them
+ * in a separate file for analyze-results.js --failures. -e FAILURE_SAMPLES=N
+ * sets how many each VU logs (default 10, 0 for none).
+ */
+
+import { check as k6check } from 'k6';
+import exec from 'k6/execution';
+import { Counter } from 'k6/metrics';
+
+const errors = new Counter('errors');
+
+export const FAILURE_SAMPLE_MARKER = 'FAILURE_SAMPLE';
+
+// k6's error code for a request timeout
+const TIMEOUT_ERROR_CODE = 1050;
+
+// Characters of a response body kept in a sample
+const MAX_BODY_LENGTH = 500;
+
+const sampleLimit = __ENV.FAILURE_SAMPLES !== undefined ? Number(__ENV.FAILURE_SAMPLES) : 10;
+
+// Samples logged by this VU so far
+let samplesLogged = 0;
+
+/**
+ * Category of a failed response, or null when it succeeded (status below 400)
+ */
+export function classifyResponse(response) {
+  if (response.status === 0) {
+    return response.error_code === TIMEOUT_ERROR_CODE || /timeout|deadline exceeded/i.test(response.error || '')
+      ? 'timeout'
+      : 'connection';
+  }
+  if (response.status >= 500) return 'http_5xx';
+  if (response.status >= 400) return 'http_4xx';
+  return null;
+}
+
+// VU and iteration of the current context; setup() and teardown() have no scenario
+function executionInfo() {
+  try {
+    return { vu: exec.vu.idInTest, iteration: exec.vu.iterationInScenario, scenario: exec.scenario.name };
+  } catch (err) {
+    return { vu: exec.vu.idInTest, iteration: null, scenario: null };
+  }
+}
+
+function isResponse(value) {
+  return value !== null && typeof value === 'object' && typeof value.status === 'number' && 'url' in value;
+}
+
+function logSample(category, tags, value) {
+  if (samplesLogged >= sampleLimit) return;
+  samplesLogged++;
+
+  const sample = { category, ...tags, ...executionInfo(), time: new Date().toISOString() };
+  if (isResponse(value)) {
+    sample.method = value.request ? value.request.method : undefined;
+    sample.url = value.url;
+    sample.status = value.status;
+    if (value.error) sample.error = value.error;
+    const body = typeof value.body === 'string' ? value.body : '';
+    sample.body = body.length > MAX_BODY_LENGTH ? `${body.slice(0, MAX_BODY_LENGTH)}…` : body;
+  }
+  console.warn(`${FAILURE_SAMPLE_MARKER} ${JSON.stringify(sample)}`);
+}
+
+function recordError(category, tags, value) {
+  errors.add(1, { category, ...tags });
+  logSample(category, tags, value);
+}
+
+// The request tags worth keeping on the errors counter
+function requestTags(tags) {
+  const kept = {};
+  if (tags && tags.type) kept.type = tags.type;
+  if (tags && tags.name) kept.name = tags.name;
+  return kept;
+}
+
+/**
+ * Record a response if it failed. tags are the request's tags (type, name).
+ */
+export function recordResponse(response, tags) {
+  const category = classifyResponse(response);
+  if (category) {
+    const code = response.status > 0 ? { code: String(response.status) } : {};
+    recordError(category, { ...code, ...requestTags(tags) }, response);
+  }
+}
+
+/**
+ * Record a successful response whose body could not be parsed as JSON
+ */
+export function recordParseError(response, tags) {
+  recordError('json_parse', requestTags(tags), response);
+}
+
+/**
+ * Same as k6's check(), additionally recording every failed assertion in the
+ * errors counter. Each assertion is passed to k6 separately, which produces
+ * the same checks samples as passing them together.
+ */
+export function check(value, sets, tags = {}) {
+  let passed = true;
+  Object.keys(sets).forEach(name => {
+    if (!k6check(value, { [name]: sets[name] }, tags)) {
+      passed = false;
+      const checkTags = tags.type ? { check: name, type: tags.type } : { check: name };
+      errors.add(1, { category: 'check', ...checkTags });
+      // The failed request behind a failed status check is sampled already
+      if (!isResponse(value) || classifyResponse(value) === null) {
+        logSample('check', checkTags, value);
+      }
+    }
+  });
+  return passed;
+}
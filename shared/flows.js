@@ -0,0 +1,306 @@
+/**
+ * Flow steps shared by the test scripts
+ *
+ * Each step is one part of a shopper's visit (browse, product details, cart,
+ * checkout) with its own group, checks and think time. Scripts compose them
+ * into flows; the traffic mix decides the random choices inside the steps.
+ *
+ * Every step counts towards the journey funnel (logins, browses,
+ * product_views, cart_adds, checkouts) and records its active time, without
+ * think time, in a <step>_duration trend. finishJourney() adds the active time
+ * of the whole iteration to journey_duration.
+ */
+
+import { group } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+import { randomIntBetween, randomItem } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
+import { safeJson } from './api.js';
+import { check } from './errors.js';
+import { createPacing } from './pacing.js';
+
+// Custom metrics - funnel counters
+const loginsCounter = new Counter('logins');
+const browsesCounter = new Counter('browses');
+const productViewsCounter = new Counter('product_views');
+const cartAddCounter = new Counter('cart_adds');
+const searchesCounter = new Counter('searches');
+const checkoutCounter = new Counter('checkouts');
+
+// Active time per step and for the whole journey
+const loginDuration = new Trend('login_duration', true);
+const browseDuration = new Trend('browse_duration', true);
+const detailDuration = new Trend('detail_duration', true);
+const cartDuration = new Trend('cart_duration', true);
+const checkoutDuration = new Trend('checkout_duration', true);
+const journeyDuration = new Trend('journey_duration', true);
+
+export const DEFAULT_MIX = { categoryBrowseRatio: 0.5, searchRatio: 0.5, checkoutRatio: 0.7, minCartItems: 3 };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Add a line to a cart's lines, merging it with the same product's line
+function mergeCartLines(lines, line) {
+  const existing = lines.find(item => item.id === line.id);
+  if (!existing) {
+    return lines.concat([line]);
+  }
+  return lines.map(item => (item === existing ? { ...item, quantity: item.quantity + line.quantity } : item));
+}
+
+/**
+ * Checks that a cart response's total, discountedTotal and totalQuantity match
+ * the lines submitted. Amounts may differ by a cent per line for rounding.
+ */
+function cartTotalChecks(lines, prefix = 'cart') {
+  const tolerance = 0.01 * lines.length + 0.001;
+  const total = lines.reduce((sum, line) => sum + round2(line.price * line.quantity), 0);
+  const discountedTotal = lines.reduce((sum, line) =>
+    sum + round2(line.price * line.quantity * (1 - line.discountPercentage / 100)), 0);
+  const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  return {
+    [`${prefix} total matches products`]: (r) => Math.abs(safeJson(r)?.total - total) <= tolerance,
+    [`${prefix} discountedTotal matches products`]: (r) => Math.abs(safeJson(r)?.discountedTotal - discountedTotal) <= tolerance,
+    [`${prefix} totalQuantity matches products`]: (r) => safeJson(r)?.totalQuantity === totalQuantity,
+  };
+}
+
+/**
+ * Create the flow steps
+ *
+ * options.api       client from createClient() in api.js
+ * options.sessions  session handling from createSessions() in session.js
+ * options.catalog   { categories, searchTerms, productIds } from loadCatalog()
+ * options.mix       ratios (and minCartItems) overriding DEFAULT_MIX
+ * options.pacing    think times from createPacing() in pacing.js, the defaults if omitted
+ */
+export function createSteps(options) {
+  const { api, sessions, catalog } = options;
+  const mix = Object.assign({}, DEFAULT_MIX, options.mix);
+  const pacing = options.pacing || createPacing();
+
+  // Active time of the current iteration's steps
+  let journeyTime = 0;
+
+  // Whether the server keeps added carts, found out by this VU's first cart
+  // update. The public DummyJSON API doesn't, answering 404, so from then on
+  // the VU resends the whole cart instead of updating it.
+  let cartsPersisted;
+
+  function startTimer() {
+    return { start: Date.now(), thinking: 0 };
+  }
+
+  // Pause for the named think time, which doesn't count towards the step's time
+  function think(timer, name) {
+    timer.thinking += pacing.think(name) * 1000;
+  }
+
+  // Record a step's active time, unless record is false
+  function finishStep(trend, timer, record = true) {
+    const active = Math.max(0, Date.now() - timer.start - timer.thinking);
+    if (record) {
+      trend.add(active);
+    }
+    journeyTime += active;
+  }
+
+  // Log in (or reuse this VU's session) and pause briefly to simulate user behavior
+  function startSession(data) {
+    journeyTime = 0;
+    const timer = startTimer();
+    const session = sessions.start(data && data.tokens);
+    loginsCounter.add(1);
+    think(timer, 'login');
+    finishStep(loginDuration, timer);
+    return session;
+  }
+
+  // Record the active time of all steps since the session started (or the
+  // last finished journey) as one journey
+  function finishJourney() {
+    if (journeyTime > 0) {
+      journeyDuration.add(journeyTime);
+    }
+    journeyTime = 0;
+  }
+
+  // Browse products with various patterns
+  function browseProducts(headers) {
+    group('Browse Products', function() {
+      const timer = startTimer();
+      browsesCounter.add(1);
+
+      // Either browse all products or a specific category
+      const productsResponse = Math.random() >= mix.categoryBrowseRatio
+        ? api.listProducts(20, randomIntBetween(0, 5) * 20, { headers })
+        : api.productsByCategory(randomItem(catalog.categories), { headers });
+
+      check(productsResponse, {
+        'products status 200': (r) => r.status === 200,
+        'products data valid': (r) => safeJson(r)?.products?.length > 0,
+      }, { type: 'products' });
+
+      think(timer, 'browse');
+
+      // Search for products for a share of the visits
+      if (Math.random() < mix.searchRatio) {
+        const searchResponse = api.searchProducts(randomItem(catalog.searchTerms), { headers });
+
+        check(searchResponse, {
+          'search status 200': (r) => r.status === 200,
+        }, { type: 'products' });
+
+        searchesCounter.add(1);
+        think(timer, 'search');
+      }
+
+      finishStep(browseDuration, timer);
+    });
+  }
+
+  // Get specific product details, returning the product or null
+  function viewProductDetails(headers) {
+    let selectedProduct = null;
+    group('Product Details', function() {
+      const timer = startTimer();
+      const productId = randomIntBetween(catalog.productIds.min, catalog.productIds.max);
+      const productResponse = api.getProduct(productId, { headers });
+
+      check(productResponse, {
+        'product detail status 200': (r) => r.status === 200,
+        'product detail has id': (r) => safeJson(r)?.id !== undefined,
+      }, { type: 'products' });
+
+      if (productResponse.status === 200) {
+        selectedProduct = safeJson(productResponse);
+        productViewsCounter.add(1);
+      }
+
+      think(timer, 'detail');
+      finishStep(detailDuration, timer);
+    });
+    return selectedProduct;
+  }
+
+  // Update the session's cart with the selected product, creating it on the first
+  // add, and view the cart. Returns whether the server's totals were right.
+  function addToCart(session, selectedProduct) {
+    let added = false;
+    group('Cart Operations', function() {
+      const timer = startTimer();
+      const line = {
+        id: selectedProduct.id,
+        quantity: randomIntBetween(1, 3),
+        price: selectedProduct.price,
+        discountPercentage: selectedProduct.discountPercentage,
+      };
+      const cart = session.cart;
+      const lines = mergeCartLines(cart ? cart.lines : [], line);
+      const submitted = [{ id: line.id, quantity: line.quantity }];
+
+      let addToCartResponse;
+      if (cart && cartsPersisted !== false) {
+        // Until an update has succeeded, a 404 means the server doesn't keep carts
+        const expectedStatuses = cartsPersisted === undefined ? [404] : undefined;
+        addToCartResponse = sessions.send(session, (headers) =>
+          api.updateCart(cart.id, submitted, true, { headers, expectedStatuses }));
+        if (cartsPersisted === undefined && addToCartResponse.status === 404) {
+          cartsPersisted = false;
+        } else if (addToCartResponse.status === 200) {
+          cartsPersisted = true;
+        }
+      }
+      if (!cart || cartsPersisted === false) {
+        addToCartResponse = sessions.send(session, (headers) =>
+          api.addCart(session.userId, lines.map(({ id, quantity }) => ({ id, quantity })), { headers }));
+      }
+
+      added = check(addToCartResponse, {
+        'add to cart status 200': (r) => r.status === 200,
+        'cart contains products': (r) => safeJson(r)?.products?.length === lines.length,
+        ...cartTotalChecks(lines),
+      }, { type: 'cart' });
+
+      // Track the cart whenever the server took the products, even if its
+      // totals were off, so the next update builds on what it has stored
+      if (addToCartResponse.status === 200) {
+        session.cart = { id: safeJson(addToCartResponse)?.id, lines };
+        cartAddCounter.add(1);
+      }
+      think(timer, 'cart_add');
+
+      // View cart contents
+      const cartResponse = sessions.send(session, (headers) => api.userCarts(session.userId, { headers }));
+
+      check(cartResponse, {
+        'view cart status 200': (r) => r.status === 200,
+      }, { type: 'cart' });
+
+      think(timer, 'cart_view');
+      finishStep(cartDuration, timer);
+    });
+    return added;
+  }
+
+  // Whether the session's cart has enough items to check out
+  function readyForCheckout(session) {
+    return Boolean(session.cart) && session.cart.lines.length >= mix.minCartItems;
+  }
+
+  // Check out the session's cart: review it, confirm the final quantities and
+  // place the order, which removes the cart. Returns whether it completed.
+  function checkoutCart(session) {
+    const cart = session.cart;
+    if (!readyForCheckout(session)) {
+      return false;
+    }
+
+    let completed = false;
+    group('Checkout Process', function() {
+      const timer = startTimer();
+      const products = cart.lines.map(({ id, quantity }) => ({ id, quantity }));
+      const params = (headers) => ({ headers, tags: { type: 'checkout' } });
+
+      const reviewResponse = sessions.send(session, (headers) => api.userCarts(session.userId, params(headers)));
+      completed = check(reviewResponse, {
+        'checkout review status 200': (r) => r.status === 200,
+      }, { type: 'checkout' });
+
+      if (cartsPersisted !== false) {
+        const confirmResponse = sessions.send(session, (headers) => api.updateCart(cart.id, products, false, params(headers)));
+        completed = check(confirmResponse, {
+          'checkout confirm status 200': (r) => r.status === 200,
+          ...cartTotalChecks(cart.lines, 'checkout'),
+        }, { type: 'checkout' }) && completed;
+
+        const orderResponse = sessions.send(session, (headers) => api.deleteCart(cart.id, params(headers)));
+        completed = check(orderResponse, {
+          'checkout cart removed': (r) => r.status === 200 && safeJson(r)?.isDeleted === true,
+        }, { type: 'checkout' }) && completed;
+      } else {
+        // Without stored carts the order is the full cart sent once more
+        const orderResponse = sessions.send(session, (headers) => api.addCart(session.userId, products, params(headers)));
+        completed = check(orderResponse, {
+          'checkout order status 200': (r) => r.status === 200,
+          ...cartTotalChecks(cart.lines, 'checkout'),
+        }, { type: 'checkout' }) && completed;
+      }
+
+      // Only completed checkouts count towards checkout_duration
+      finishStep(checkoutDuration, timer, completed);
+      if (completed) {
+        checkoutCounter.add(1);
+      }
+      // Start a new cart either way, rather than retrying a broken one
+      session.cart = null;
+
+      pacing.think('checkout');
+    });
+    return completed;
+  }
+
+  return { mix, startSession, browseProducts, viewProductDetails, addToCart, checkoutCart, finishJourney };
+}
@@ -0,0 +1,135 @@
+/**
+ * Think times and iteration pacing for the test scripts
+ *
+ * Every pause in the flows is a named think time drawn from a distribution:
+ *
+ *   { "type": "fixed", "seconds": 2 }
+ *   { "type": "uniform", "min": 1, "max": 3 }
+ *   { "type": "normal", "mean": 2, "stddev": 0.5 }
+ *   { "type": "lognormal", "median": 2, "sigma": 0.6 }
+ *
+ * normal and lognormal also take optional "min" and "max" bounds; negative
+ * draws are always cut to 0. DEFAULT_THINK_TIMES keeps the ranges the flows
+ * used before, and a pacing file (-e PACING_FILE=path) overrides single
+ * steps: { "scale": 1, "thinkTimes": { "detail": {...} }, "iterationPacing": "20s" }.
+ *
+ * Every think time is multiplied by the scale, so -e THINK_TIME_SCALE=0 runs
+ * the flows without any pauses and 0.5 halves them. Iteration pacing
+ * (-e ITERATION_PACING=20s) pads each iteration of a VU to at least that
+ * long, so a VU-based scenario runs a known rate of about VUs / pacing
+ * iterations per second however fast the responses are. Arrival-rate
+ * scenarios start iterations at their own rate and are not padded.
+ */
+
+import { sleep } from 'k6';
+import exec from 'k6/execution';
+import { parseDuration } from './profiles.js';
+
+const THINK_TIME_TYPES = ['fixed', 'uniform', 'normal', 'lognormal'];
+
+export const DEFAULT_THINK_TIMES = {
+  login: { type: 'uniform', min: 1, max: 2 },
+  browse: { type: 'uniform', min: 1, max: 3 },
+  search: { type: 'uniform', min: 1, max: 2 },
+  detail: { type: 'uniform', min: 2, max: 4 },
+  cart_add: { type: 'uniform', min: 1, max: 3 },
+  cart_view: { type: 'uniform', min: 1, max: 2 },
+  checkout: { type: 'uniform', min: 2, max: 5 },
+  session_end: { type: 'uniform', min: 1, max: 3 },
+};
+
+// Standard normal draw (Box-Muller)
+function standardNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function bounded(seconds, spec) {
+  const min = spec.min !== undefined ? spec.min : 0;
+  const max = spec.max !== undefined ? spec.max : Infinity;
+  return Math.min(max, Math.max(min, seconds));
+}
+
+/**
+ * Draw a think time in seconds from a distribution spec
+ */
+export function drawSeconds(spec) {
+  switch (spec.type) {
+    case 'fixed':
+      return spec.seconds;
+    case 'uniform':
+      return spec.min + Math.random() * (spec.max - spec.min);
+    case 'normal':
+      return bounded(spec.mean + spec.stddev * standardNormal(), spec);
+    case 'lognormal':
+      return bounded(spec.median * Math.exp(spec.sigma * standardNormal()), spec);
+    default:
+      throw new Error(`Unknown think time type "${spec.type}". Use ${THINK_TIME_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Load the pacing config from env.PACING_FILE (if given), with
+ * THINK_TIME_SCALE and ITERATION_PACING applied, as
+ * { scale, thinkTimes, iterationPacing (seconds, 0 for none) }
+ */
+export function loadPacing(readFile, env) {
+  const config = env.PACING_FILE ? JSON.parse(readFile(env.PACING_FILE)) : {};
+  const thinkTimes = Object.assign({}, DEFAULT_THINK_TIMES, config.thinkTimes);
+  Object.entries(thinkTimes).forEach(([name, spec]) => {
+    // Fail in the init context rather than in the middle of the run
+    if (!THINK_TIME_TYPES.includes(spec.type)) {
+      throw new Error(`Think time "${name}" has unknown type "${spec.type}". Use ${THINK_TIME_TYPES.join(', ')}`);
+    }
+  });
+
+  const scale = env.THINK_TIME_SCALE !== undefined ? Number(env.THINK_TIME_SCALE) : config.scale;
+  const iterationPacing = env.ITERATION_PACING || config.iterationPacing;
+  return {
+    scale: scale !== undefined ? scale : 1,
+    thinkTimes,
+    iterationPacing: iterationPacing ? parseDuration(iterationPacing) : 0,
+  };
+}
+
+/**
+ * Create the pauses for one VU from a loadPacing() config, or the defaults
+ */
+export function createPacing(config = { scale: 1, thinkTimes: DEFAULT_THINK_TIMES, iterationPacing: 0 }) {
+  let iterationStart = null;
+
+  // Pause for the named think time, returning the seconds slept
+  function think(name) {
+    const spec = config.thinkTimes[name];
+    if (!spec) {
+      throw new Error(`No think time named "${name}"`);
+    }
+    const seconds = config.scale > 0 ? drawSeconds(spec) * config.scale : 0;
+    if (seconds > 0) {
+      sleep(seconds);
+    }
+    return seconds;
+  }
+
+  // Mark the start of an iteration for iteration pacing
+  function startIteration() {
+    iterationStart = Date.now();
+  }
+
+  // Pad the iteration to the pacing interval, returning the seconds slept
+  function endIteration() {
+    if (!config.iterationPacing || iterationStart === null || exec.scenario.executor.includes('arrival-rate')) {
+      return 0;
+    }
+    const remaining = config.iterationPacing - (Date.now() - iterationStart) / 1000;
+    iterationStart = null;
+    if (remaining > 0) {
+      sleep(remaining);
+      return remaining;
+    }
+    return 0;
+  }
+
+  return { think, startIteration, endIteration };
+}
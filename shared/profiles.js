@@ -0,0 +1,72 @@
+/**
+ * Named load profiles shared by the test scripts
+ *
+ * The standard shapes (smoke, load, stress, spike, soak, breakpoint) live in
+ * profiles.json so the Node tooling can read them too. A profile is selected
+ * with -e PROFILE=<name>; "ci" selects ci-config.json, and any other value
+ * ending in .json is read as a file with the same "stages"/"thresholds" shape.
+ *
+ * Files are read through the readFile callback, which the calling script
+ * passes as (path) => open(path) so paths resolve from the script's directory.
+ */
+
+export const DEFAULT_PROFILE = 'load';
+
+const PROFILES_FILE = './profiles.json';
+
+// Profiles kept in their own config files
+const PROFILE_FILES = {
+  ci: './ci-config.json',
+};
+
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600 };
+
+// One or more amounts with a unit, and nothing else
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?(ms|s|m|h))+$/;
+
+/**
+ * Load the profile called name, returning { name, stages, thresholds }
+ */
+export function loadProfile(name, readFile) {
+  const profileName = name || DEFAULT_PROFILE;
+  const file = PROFILE_FILES[profileName] || (profileName.endsWith('.json') ? profileName : null);
+
+  if (file) {
+    const config = JSON.parse(readFile(file));
+    return { name: profileName, stages: config.stages, thresholds: config.thresholds || {} };
+  }
+
+  const profiles = JSON.parse(readFile(PROFILES_FILE));
+  const profile = profiles[profileName];
+  if (!profile) {
+    const available = Object.keys(profiles).concat(Object.keys(PROFILE_FILES)).join(', ');
+    throw new Error(`Unknown PROFILE "${profileName}". Available profiles: ${available}`);
+  }
+  return { name: profileName, stages: profile.stages, thresholds: profile.thresholds || {} };
+}
+
+/**
+ * Parse a k6 duration string such as "2m", "90s" or "1h30m" into seconds,
+ * throwing on anything else, bare numbers included. lib/profiles.js accepts
+ * the same syntax.
+ */
+export function parseDuration(duration) {
+  const text = String(duration);
+  if (!DURATION_PATTERN.test(text)) {
+    throw new Error(`Invalid duration "${text}": use a number with a unit (ms, s, m or h) such as 30s, 2m or 1h30m`);
+  }
+  let seconds = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    seconds += Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+  return seconds;
+}
+
+/**
+ * Total duration of a profile's stages as a k6 duration string
+ */
+export function totalDuration(stages) {
+  return `${stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)}s`;
+}
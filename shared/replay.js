@@ -0,0 +1,90 @@
+/**
+ * Replay of recorded traffic converted by convert-traffic.js
+ *
+ * Each iteration replays one recorded session, the sessions taken in turn,
+ * against the script's BASE_URL. Requests are sent at their recorded offsets
+ * from the start of the session, multiplied by the time scale: 1 keeps the
+ * recorded timing, 0.5 halves the gaps and 0 sends them back to back. A
+ * request running late is sent right away, so a slow system stretches the
+ * session instead of overlapping its requests.
+ *
+ * Sessions that logged in are replayed as the next user of the pool, logged
+ * in through session.js; requests that carried an Authorization header get the
+ * user's token, and {userId} in paths and bodies is replaced by the user's ID.
+ */
+
+import { sleep } from 'k6';
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { check } from './errors.js';
+
+export const DEFAULT_REPLAY_FILE = './data/replay.json';
+
+const USER_ID = /\{userId\}/g;
+// In a JSON body the placeholder is a string, the ID a number
+const USER_ID_VALUE = /"\{userId\}"/g;
+
+/**
+ * Load the recorded sessions from a convert-traffic.js file
+ */
+export function loadReplay(readFile, file = DEFAULT_REPLAY_FILE) {
+  return new SharedArray('replay sessions', () => {
+    const replay = JSON.parse(readFile(file));
+    if (!Array.isArray(replay.sessions) || replay.sessions.length === 0) {
+      throw new Error(`${file} holds no sessions to replay; create it with convert-traffic.js`);
+    }
+    return replay.sessions;
+  });
+}
+
+/**
+ * Create the replay for one script
+ *
+ * options.api        client from createClient() in api.js
+ * options.sessions   session handling from createSessions() in session.js
+ * options.recorded   sessions from loadReplay()
+ * options.timeScale  multiplier for the recorded request offsets (default 1)
+ */
+export function createReplayer(options) {
+  const timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+
+  function send(request, session) {
+    const userId = session ? session.userId : '';
+    const path = request.path.replace(USER_ID, userId);
+    const body = request.body ? request.body.replace(USER_ID_VALUE, JSON.stringify(userId)) : null;
+    const contentType = { 'Content-Type': request.contentType || 'application/json' };
+    // A recorded failure, such as a 404, is expected to fail again, so it
+    // counts neither as a failed request nor as an error
+    const expectedStatuses = request.status >= 400 ? [request.status] : undefined;
+
+    if (request.auth && session) {
+      return options.sessions.send(session, (headers) =>
+        options.api.request(request.method, path, body, request.name, { headers: { ...headers, ...contentType }, expectedStatuses }));
+    }
+    return options.api.request(request.method, path, body, request.name, { headers: contentType, expectedStatuses });
+  }
+
+  /**
+   * Replay the next recorded session, returning it. data is the setup data
+   * holding the token pool when SESSION_MODE=pool.
+   */
+  function replay(data = {}) {
+    const recorded = options.recorded[exec.scenario.iterationInTest % options.recorded.length];
+    const start = Date.now();
+    const session = recorded.login ? options.sessions.start(data.tokens) : null;
+
+    recorded.requests.forEach(request => {
+      const wait = (request.offset * timeScale - (Date.now() - start)) / 1000;
+      if (wait > 0) {
+        sleep(wait);
+      }
+      const response = send(request, session);
+      check(response, {
+        'replay status as recorded': (r) => Math.floor(r.status / 100) === Math.floor(request.status / 100),
+      }, { type: 'replay', name: request.name });
+    });
+    return recorded;
+  }
+
+  return { replay };
+}
@@ -0,0 +1,161 @@
+/**
+ * Authenticated sessions for the test scripts
+ *
+ * Each VU logs in once per user and keeps the access and refresh token between
+ * iterations instead of calling /auth/login every time. Tokens are renewed via
+ * /auth/refresh shortly before they expire, and a request answered with a 401
+ * is retried once after renewing. When no token can be obtained the iteration
+ * is ended with fail(), so the flow never runs with a "Bearer null" header.
+ *
+ * With SESSION_MODE=pool, setup() logs every user in once and hands the tokens
+ * to the VUs, which then only refresh them.
+ */
+
+import { fail } from 'k6';
+import { Counter } from 'k6/metrics';
+import { safeJson } from './api.js';
+import { check } from './errors.js';
+
+const tokenRefreshes = new Counter('token_refreshes');
+const authFailures = new Counter('auth_failures');
+
+// Renew this long before expiry, or at half the token lifetime for short ones
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Create the session handling for one script
+ *
+ * options.api            client from createClient() in api.js
+ * options.nextUser       function returning the { username, password } to use
+ * options.expiresInMins  lifetime requested for access tokens (default 30)
+ */
+export function createSessions(options) {
+  const expiresInMins = options.expiresInMins || 30;
+  const lifetimeMs = expiresInMins * 60 * 1000;
+  const marginMs = Math.min(REFRESH_MARGIN_MS, lifetimeMs / 2);
+
+  // Sessions of this VU by username
+  const cache = {};
+
+  function newSession(user, userId) {
+    return {
+      user,
+      username: user.username,
+      userId,
+      headers: { 'Content-Type': 'application/json' },
+    };
+  }
+
+  function applyTokens(session, tokens, expiresAt = Date.now() + lifetimeMs) {
+    session.accessToken = tokens.accessToken;
+    session.refreshToken = tokens.refreshToken;
+    session.expiresAt = expiresAt;
+    session.headers['Authorization'] = `Bearer ${tokens.accessToken}`;
+    return session;
+  }
+
+  // Log in as user, returning the session (a new one unless given) or null
+  function login(user, session) {
+    const response = options.api.login(user.username, user.password, expiresInMins);
+    const body = safeJson(response) || {};
+    check(response, {
+      'login status 200': (r) => r.status === 200,
+      'has access token': () => body.accessToken !== undefined,
+    }, { type: 'login' });
+
+    // The failed response is counted and sampled by errors.js
+    if (response.status !== 200 || !body.accessToken) {
+      return null;
+    }
+    return applyTokens(session || newSession(user, body.id), body);
+  }
+
+  // Exchange the refresh token for new tokens, returning whether it worked
+  function refresh(session) {
+    if (!session.refreshToken) {
+      return false;
+    }
+
+    const response = options.api.refresh(session.refreshToken, expiresInMins);
+    const body = safeJson(response) || {};
+    const refreshed = check(response, {
+      'token refresh status 200': (r) => r.status === 200 && body.accessToken !== undefined,
+    }, { type: 'auth' });
+
+    if (!refreshed) {
+      return false;
+    }
+    tokenRefreshes.add(1);
+    applyTokens(session, body);
+    return true;
+  }
+
+  // Refresh the session, or log in again when that fails
+  function renew(session) {
+    return refresh(session) || login(session.user, session) !== null;
+  }
+
+  function abort(user) {
+    authFailures.add(1);
+    delete cache[user.username];
+    fail(`Could not authenticate as ${user.username}`);
+  }
+
+  /**
+   * Return a valid session for the next user, logging in or refreshing as
+   * needed. pool is the token list from createPool() when setup() made one.
+   */
+  function start(pool) {
+    const user = options.nextUser();
+    let session = cache[user.username];
+
+    if (!session) {
+      const pooled = pool && pool.find(entry => entry.username === user.username);
+      session = pooled
+        ? applyTokens(newSession(user, pooled.userId), pooled, pooled.expiresAt)
+        : login(user);
+    }
+
+    if (!session || (Date.now() >= session.expiresAt - marginMs && !renew(session))) {
+      abort(user);
+    }
+    cache[user.username] = session;
+    return session;
+  }
+
+  /**
+   * Send an authenticated request. request is called with the session's
+   * headers and must return the response; a 401 renews the token and retries once.
+   */
+  function send(session, request) {
+    const response = request(session.headers);
+    if (response.status !== 401) {
+      return response;
+    }
+    if (!renew(session)) {
+      abort(session.user);
+    }
+    return request(session.headers);
+  }
+
+  /**
+   * Log every user in once, for setup(). Returns plain token entries that can
+   * be passed to the VUs as setup data.
+   */
+  function createPool(users) {
+    const pool = [];
+    for (let i = 0; i < users.length; i++) {
+      const session = login(users[i]);
+      if (session) {
+        const { user, headers, ...entry } = session;
+        pool.push(entry);
+      }
+    }
+    if (pool.length === 0) {
+      fail('SESSION_MODE=pool: no user could log in');
+    }
+    return pool;
+  }
+
+  return { start, send, createPool };
+}
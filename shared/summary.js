@@ -0,0 +1,34 @@
+/**
+ * End-of-test reports written by the scripts' handleSummary()
+ *
+ * k6 passes handleSummary() its aggregated results, so these reports need no
+ * post-processing of the raw --out json stream:
+ *
+ *   <prefix>-k6-summary.json  the summary data itself, which validate-results.js
+ *                             accepts in place of the raw results
+ *   <prefix>-k6-summary.txt   the end-of-test text summary, without colors
+ *   <prefix>-k6-junit.xml     one JUnit testcase per threshold
+ *
+ * The prefix is the script name, so the files land in the working directory,
+ * unless -e SUMMARY_PREFIX=path/name is given; its directory has to exist. The
+ * usual text summary still goes to stdout, colored as k6 would color it.
+ */
+
+import { textSummary, jUnit } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+
+// Trend stats kept in the summary. p(99) and count are not in k6's default
+// list, but thresholds and the validator use them.
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)', 'count'];
+
+/**
+ * Outputs for handleSummary(data) of the script called name
+ */
+export function summaryOutputs(data, name) {
+  const prefix = __ENV.SUMMARY_PREFIX || name;
+  return {
+    stdout: textSummary(data, { indent: ' ', enableColors: !data.options.noColor && data.state.isStdOutTTY }),
+    [`${prefix}-k6-summary.json`]: JSON.stringify(data, null, 2),
+    [`${prefix}-k6-summary.txt`]: textSummary(data, { indent: ' ', enableColors: false }),
+    [`${prefix}-k6-junit.xml`]: jUnit(data, { name: `k6 thresholds – ${name}` }),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * k6 scenarios of a workload profile (workloads/*.json) for
+ * dummyjson-advanced-test.js
+ *
+ * lib/workload.js builds the same scenarios on the Node side, so run-tests.js
+ * can check them against the target environment's limits before starting k6.
+ */
+
+import { totalDuration } from './profiles.js';
+
+/**
+ * Build k6 scenarios from the workload, dropping the ones marked "enabled": false.
+ * A "stages" value of "profile" takes the load profile's stages. A startTime of
+ * "first-stage" starts the scenario once the profile's first stage (its ramp-up)
+ * is over, and "profile" as a duration or maxDuration takes the rest of the
+ * profile from the scenario's start.
+ */
+export function buildScenarios(workload, profile) {
+  const scenarios = {};
+  Object.entries(workload.scenarios).forEach(([name, config]) => {
+    const { enabled, ...scenario } = config;
+    if (enabled === false) return;
+
+    if (scenario.stages === 'profile') {
+      scenario.stages = profile.stages;
+    }
+    let remaining = profile.stages;
+    if (scenario.startTime === 'first-stage') {
+      // A single-stage profile has no ramp-up to wait for
+      scenario.startTime = profile.stages.length > 1 ? profile.stages[0].duration : '0s';
+      remaining = profile.stages.length > 1 ? profile.stages.slice(1) : profile.stages;
+    }
+    ['duration', 'maxDuration'].forEach(key => {
+      if (scenario[key] === 'profile') {
+        scenario[key] = totalDuration(remaining);
+      }
+    });
+    scenarios[name] = scenario;
+  });
+  return scenarios;
+}
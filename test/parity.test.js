@@ -0,0 +1,110 @@
+/**
+ * The Node copies in lib/ against the k6 modules in shared/ they mirror
+ *
+ * Run with: node --test test/
+ *
+ * run-tests.js refuses runs before starting k6 with lib/workload.js and
+ * lib/environments.js, and the analyzer and the validator merge thresholds
+ * with lib/environments.js, while the scripts do the same with shared/. Both
+ * copies are run on every profile, the default workload and every
+ * environment, and must agree.
+ *
+ * parseDuration() is checked on valid durations and on values both copies
+ * must refuse, as a typo in a command-line option would otherwise count as 0.
+ *
+ * shared/ is ES modules without "type": "module" anywhere; import() loads it
+ * through Node's syntax detection, on by default since Node 20.19 and 22.7.
+ * Nothing it imports from k6 is needed here: shared/profiles.js,
+ * shared/workload.js and shared/environments.js only import each other.
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const profiles = require('../lib/profiles');
+const workload = require('../lib/workload');
+const environments = require('../lib/environments');
+
+const ROOT = path.join(__dirname, '..');
+
+// The scripts' open(), resolving from the scripts' directory
+const readFile = (file) => fs.readFileSync(path.resolve(ROOT, file), 'utf8');
+
+const shared = {};
+
+function importShared(name) {
+  return import(pathToFileURL(path.join(ROOT, 'shared', `${name}.js`)).href);
+}
+
+before(async () => {
+  shared.profiles = await importShared('profiles');
+  shared.workload = await importShared('workload');
+  shared.environments = await importShared('environments');
+});
+
+const PROFILES = profiles.profileNames();
+const ENVIRONMENTS = environments.environmentNames();
+const WORKLOAD = workload.loadWorkload();
+
+const DURATIONS = ['0s', '250ms', '30s', '1.5m', '2m', '1h30m', '1h0m30s500ms'];
+const NOT_DURATIONS = ['', '30', '1x', '30 s', ' 30s', '2m30', 'm', '-5s', 'stage'];
+
+test('durations parse the same', () => {
+  DURATIONS.forEach(duration => {
+    assert.strictEqual(profiles.parseDuration(duration), shared.profiles.parseDuration(duration), duration);
+  });
+  assert.strictEqual(profiles.parseDuration('1h30m'), 5400);
+  assert.strictEqual(profiles.parseDuration('250ms'), 0.25);
+});
+
+test('values without a unit are refused by both', () => {
+  NOT_DURATIONS.forEach(value => {
+    assert.throws(() => profiles.parseDuration(value), /Invalid duration/, `lib: ${JSON.stringify(value)}`);
+    assert.throws(() => shared.profiles.parseDuration(value), /Invalid duration/, `shared: ${JSON.stringify(value)}`);
+  });
+});
+
+test('profiles load the same', () => {
+  PROFILES.forEach(name => {
+    assert.deepStrictEqual(profiles.loadProfile(name), shared.profiles.loadProfile(name, readFile), name);
+  });
+});
+
+test('the default workload builds the same scenarios for every profile', () => {
+  PROFILES.forEach(name => {
+    const profile = profiles.loadProfile(name);
+    assert.deepStrictEqual(workload.buildScenarios(WORKLOAD, profile), shared.workload.buildScenarios(WORKLOAD, profile), name);
+  });
+});
+
+test('environments load the same', () => {
+  ENVIRONMENTS.forEach(name => {
+    assert.deepStrictEqual(environments.loadEnvironment(name), shared.environments.loadEnvironment(name, readFile), name);
+  });
+});
+
+test('environments refuse the same runs and merge the same thresholds', () => {
+  ENVIRONMENTS.forEach(environmentName => {
+    const environment = environments.loadEnvironment(environmentName);
+    PROFILES.forEach(profileName => {
+      const profile = profiles.loadProfile(profileName);
+      const label = `${profileName} on ${environmentName}`;
+      // dummyjson-advanced-test.js's scenarios, and the other scripts' stages
+      [{ scenarios: workload.buildScenarios(WORKLOAD, profile) }, { stages: profile.stages }].forEach(options => {
+        assert.strictEqual(environments.peakVUs(options), shared.environments.peakVUs(options), label);
+        assert.deepStrictEqual(
+          environments.environmentViolations(environment, profileName, options),
+          shared.environments.environmentViolations(environment, profileName, options),
+          label,
+        );
+      });
+      assert.deepStrictEqual(
+        environments.mergeThresholds(profile.thresholds, environment),
+        shared.environments.mergeThresholds(profile.thresholds, environment),
+        label,
+      );
+    });
+  });
+});
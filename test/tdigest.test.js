@@ -0,0 +1,97 @@
+/**
+ * Accuracy of the t-digest percentiles against an exact sort
+ *
+ * Run with: node --test test/ (plain node --test would also pick up the k6
+ * scripts, whose names end in -test.js)
+ *
+ * fixtures/latencies.json holds two runs of 4000 response times in ms: a
+ * smooth log-normal one, and a bimodal one with a 5% slow tail around 1000ms
+ * behind a bulk around 100ms. 4000 values are enough for the digest to
+ * compress several times.
+ *
+ * Tolerance: p50 to p99.9 are within 0.5% of the exact value, both for one
+ * digest and for digests merged as the per-tag ones are. The exception is a
+ * percentile that falls on a gap between two modes, such as p95 of the
+ * bimodal run: the exact value interpolates between the last fast and the
+ * first slow response, and the digest's estimate can land anywhere between
+ * those two.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { TDigest } = require('../lib/tdigest');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'latencies.json'));
+
+const PERCENTILES = [0.5, 0.9, 0.95, 0.99, 0.999];
+const TOLERANCE = 0.005;
+
+// Percentile of sorted values the way k6 computes it, interpolating between ranks
+function exactQuantile(sorted, q) {
+  const rank = q * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (rank - lower) * (sorted[upper] - sorted[lower]);
+}
+
+function digestOf(values) {
+  const digest = new TDigest();
+  values.forEach(value => digest.add(value));
+  return digest;
+}
+
+// One digest per share of the values, merged into one
+function mergedDigestOf(values, shares) {
+  const parts = Array.from({ length: shares }, () => new TDigest());
+  values.forEach((value, i) => parts[i % shares].add(value));
+  return parts.reduce((merged, part) => merged.merge(part), new TDigest());
+}
+
+function sorted(values) {
+  return values.slice().sort((a, b) => a - b);
+}
+
+function assertWithinTolerance(digest, values, percentiles) {
+  const exact = sorted(values);
+  percentiles.forEach(q => {
+    const expected = exactQuantile(exact, q);
+    const actual = digest.quantile(q);
+    const error = Math.abs(actual - expected) / expected;
+    assert.ok(error <= TOLERANCE, `p${q * 100}: ${actual} vs exact ${expected} (${(error * 100).toFixed(3)}% off)`);
+  });
+}
+
+test('a digest that never compressed matches the exact sort', () => {
+  const values = fixtures.lognormal.slice(0, 500);
+  const digest = digestOf(values);
+  const exact = sorted(values);
+  PERCENTILES.forEach(q => {
+    assert.ok(Math.abs(digest.quantile(q) - exactQuantile(exact, q)) < 1e-9, `p${q * 100}`);
+  });
+});
+
+test('smooth distribution is within tolerance', () => {
+  assertWithinTolerance(digestOf(fixtures.lognormal), fixtures.lognormal, PERCENTILES);
+});
+
+test('merged digests of a smooth distribution are within tolerance', () => {
+  assertWithinTolerance(mergedDigestOf(fixtures.lognormal, 4), fixtures.lognormal, PERCENTILES);
+});
+
+test('bimodal distribution is within tolerance away from the gap', () => {
+  const percentiles = PERCENTILES.filter(q => q !== 0.95);
+  assertWithinTolerance(digestOf(fixtures.bimodal), fixtures.bimodal, percentiles);
+  assertWithinTolerance(mergedDigestOf(fixtures.bimodal, 4), fixtures.bimodal, percentiles);
+});
+
+test('a percentile on the gap between modes stays within the gap', () => {
+  const exact = sorted(fixtures.bimodal);
+  const rank = 0.95 * (exact.length - 1);
+  const lastFast = exact[Math.floor(rank)];
+  const firstSlow = exact[Math.ceil(rank)];
+  [digestOf(fixtures.bimodal), mergedDigestOf(fixtures.bimodal, 4)].forEach(digest => {
+    const actual = digest.quantile(0.95);
+    assert.ok(actual >= lastFast && actual <= firstSlow, `p95 ${actual} outside ${lastFast}..${firstSlow}`);
+  });
+});
@@ -2,107 +2,226 @@
 
 /**
  * Script to validate K6 test results based on thresholds
- * 
+ *
  * Usage:
- * node validate-results.js <results-file.json> [--ci]
+ * node validate-results.js <results-or-summary.json> [--config ci-config.json] [--ci] [--profile stress]
+ *   [--environment staging]
+ *   [--junit results/junit.xml] [--markdown "$GITHUB_STEP_SUMMARY"] [--min-check-rate 0.9]
+ *   [--warmup 30s|stage] [--rampdown 30s|stage]
+ *
+ * Thresholds are read from the "thresholds" section of the config file, using
+ * k6 threshold syntax (e.g. "p(95)<500", "rate<0.1", "checks{type:login}").
+ * --ci is shorthand for --config ci-config.json. --profile uses the thresholds
+ * of a named load profile from profiles.json on top of the script's own, just
+ * like the test scripts do. Without any of these, the thresholds declared by
+ * dummyjson-advanced-test.js for the default profile are used. --environment
+ * puts the thresholds of a target environment from environments.json on top
+ * of whichever of these applies, as the scripts do with -e ENV.
+ *
+ * Every named check (e.g. 'login status 200') is reported with its pass rate.
+ * Checks only fail the validation when --min-check-rate is given and their
+ * rate is below it; otherwise the thresholds (such as checks{type:login})
+ * decide. --junit writes one testcase per threshold and check, and --markdown
+ * appends a summary table to the given file.
+ *
+ * Instead of the raw --out json results, the input can be a k6 summary: the
+ * <script>-k6-summary.json written by the scripts' handleSummary() or a
+ * --summary-export file. It is detected automatically and validated from k6's
+ * aggregates, so the full results file is not needed. Thresholds on
+ * percentiles or tag filters the summary doesn't contain are skipped.
+ *
+ * --warmup and --rampdown leave the start and end of the run out of the
+ * threshold evaluation (not of the checks), as a duration or "stage" for the
+ * first or last stage of the config file or profile. They need the raw results.
  */
 
 const fs = require('fs');
-
-// Get command line arguments
-const args = process.argv.slice(2);
-const resultsFile = args[0];
-const isCI = args.includes('--ci');
+const path = require('path');
+const { parseArgs } = require('util');
+const { collectResults } = require('./lib/metrics');
+const { Breakdown } = require('./lib/breakdown');
+const { DEFAULT_THRESHOLDS, ThresholdSet, loadThresholds, formatActual } = require('./lib/thresholds');
+const { renderJUnit, renderMarkdown } = require('./lib/validation-report');
+const { loadProfile } = require('./lib/profiles');
+const { loadEnvironment, mergeThresholds } = require('./lib/environments');
+const { WindowFilter, thresholdWindow } = require('./lib/windows');
+const { isSummaryFile, readSummary } = require('./lib/summary');
 
 // Exit codes
 const SUCCESS = 0;
 const FAILURE = 1;
 
+const CI_CONFIG = path.join(__dirname, 'ci-config.json');
+
+// Get command line arguments
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    config: { type: 'string' },
+    ci: { type: 'boolean', default: false },
+    profile: { type: 'string' },
+    environment: { type: 'string' },
+    junit: { type: 'string' },
+    markdown: { type: 'string' },
+    'min-check-rate': { type: 'string' },
+    warmup: { type: 'string' },
+    rampdown: { type: 'string' },
+  },
+});
+
+const resultsFile = positionals[0];
+
 if (!resultsFile) {
   console.error('Please provide a path to results JSON file');
   process.exit(FAILURE);
 }
 
-// Default thresholds (can be overridden)
-const THRESHOLDS = {
-  errorRate: isCI ? 0.20 : 0.10,      // 10% in local, 20% in CI
-  responseTime: isCI ? 1000 : 500,    // 500ms in local, 1000ms in CI
-};
-
-try {
-  const data = fs.readFileSync(resultsFile, 'utf8');
-  const lines = data.trim().split('\n');
-  
-  // K6 JSON output format is NDJSON (each line is a separate JSON object)
-  const metrics = {};
-  const points = [];
-  
-  lines.forEach(line => {
-    const entry = JSON.parse(line);
-    
-    if (entry.type === 'Point') {
-      points.push(entry);
-      
-      if (!metrics[entry.metric]) {
-        metrics[entry.metric] = {
-          values: [],
-          tags: entry.tags
-        };
-      }
-      
-      metrics[entry.metric].values.push(entry.data.value);
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+function thresholdCases(results) {
+  return results.map(result => ({
+    name: `${result.selector}: ${result.expression.source}`,
+    status: result.noData ? 'skipped' : result.passed ? 'passed' : 'failed',
+    measured: result.noData ? result.reason || 'no data' : formatActual(result),
+    limit: result.expression.source,
+  }));
+}
+
+// checks are [{ name, passes, total }]; without minRate they are only reported
+function checkCases(checks, minRate) {
+  return checks.map(({ name, passes, total }) => {
+    const rate = total > 0 ? passes / total : 0;
+    const measured = `${formatPercent(rate)} (${passes}/${total})`;
+    if (minRate === undefined) {
+      return { name, status: 'info', measured, limit: 'none' };
     }
+    return {
+      name,
+      status: rate >= minRate ? 'passed' : 'failed',
+      measured,
+      limit: `≥ ${formatPercent(minRate)}`,
+    };
   });
-  
+}
+
+// Threshold results and check totals from the raw results, thresholds only within window
+async function evaluateResults(thresholds, window) {
+  const checks = new Breakdown(['check'], ['checks']);
+  const filter = window ? new WindowFilter(thresholds, window) : null;
+  const { timeRange } = await collectResults(resultsFile, [filter || thresholds, checks]);
+  return {
+    input: filter ? `k6 JSON results, ${filter.excluded} warm-up/ramp-down point(s) left out of the thresholds` : 'k6 JSON results',
+    thresholdResults: thresholds.evaluate(filter ? filter.timeRange : timeRange),
+    checks: checks.series('checks').map(([name, stats]) => ({ name, passes: stats.nonZero, total: stats.count })),
+  };
+}
+
+// Threshold results and check totals from a k6 summary
+function evaluateSummary(thresholds) {
+  const summary = readSummary(resultsFile);
+  return {
+    input: `k6 summary (${summary.format})`,
+    thresholdResults: thresholds.evaluateSummary(summary),
+    checks: summary.checks.map(({ name, passes, fails }) => ({ name, passes, total: passes + fails })),
+  };
+}
+
+// The thresholds of the config file, profile or script defaults, without the environment's
+function baseThresholds() {
+  const configPath = options.config || (options.ci ? CI_CONFIG : null);
+  if (configPath) {
+    return { source: configPath, thresholds: loadThresholds(configPath) };
+  }
+  if (options.profile) {
+    const profile = loadProfile(options.profile);
+    return { source: `profile ${profile.name}`, thresholds: { ...DEFAULT_THRESHOLDS, ...profile.thresholds } };
+  }
+  return { source: 'script defaults', thresholds: DEFAULT_THRESHOLDS };
+}
+
+// Pick the thresholds source from the options, returning its description too
+function selectThresholds() {
+  const base = baseThresholds();
+  if (!options.environment) {
+    return base;
+  }
+  const environment = loadEnvironment(options.environment);
+  return {
+    source: `${base.source}, environment ${environment.name}`,
+    thresholds: mergeThresholds(base.thresholds, environment),
+  };
+}
+
+// Stages of the config file or profile, for --warmup/--rampdown stage
+function selectStages() {
+  const configPath = options.config || (options.ci ? CI_CONFIG : null);
+  if (configPath) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8')).stages || null;
+  }
+  return options.profile ? loadProfile(options.profile).stages || null : null;
+}
+
+async function main() {
+  const selected = selectThresholds();
+  const thresholds = new ThresholdSet(selected.thresholds);
+
+  let evaluated;
+  if (isSummaryFile(resultsFile)) {
+    if (options.warmup || options.rampdown) {
+      throw new Error('--warmup and --rampdown need the raw JSON results, a summary has no timestamps');
+    }
+    evaluated = evaluateSummary(thresholds);
+  } else {
+    evaluated = await evaluateResults(thresholds, thresholdWindow(resultsFile, selectStages(), options));
+  }
+
+  const suites = [
+    { name: 'thresholds', cases: thresholdCases(evaluated.thresholdResults) },
+    { name: 'checks', cases: checkCases(evaluated.checks, options['min-check-rate'] !== undefined ? Number(options['min-check-rate']) : undefined) },
+  ];
+
   console.log('\n===== K6 Test Validation Results =====\n');
-  
-  // Calculate p95 response time
-  const durationValues = metrics['http_req_duration']?.values || [];
-  const sorted = [...durationValues].sort((a, b) => a - b);
-  const p95 = sorted[Math.floor(sorted.length * 0.95)] || 0;
-  
-  console.log(`95th percentile response time: ${p95.toFixed(2)}ms (threshold: ${THRESHOLDS.responseTime}ms)`);
-  
-  // Calculate error rate
-  const httpReqs = points.filter(point => point.metric === 'http_reqs');
-  const statusCodes = {};
-  
-  httpReqs.forEach(req => {
-    const status = req.data.tags?.status || 'unknown';
-    statusCodes[status] = (statusCodes[status] || 0) + 1;
+  console.log(`Input: ${evaluated.input}`);
+  console.log(`Thresholds: ${selected.source}`);
+
+  suites.forEach(suite => {
+    console.log(`\n${suite.name.charAt(0).toUpperCase()}${suite.name.slice(1)}:`);
+    suite.cases.forEach(testCase => {
+      if (testCase.status === 'skipped') {
+        console.log(`⚠️  SKIPPED: ${testCase.name} (${testCase.measured})`);
+      } else if (testCase.status === 'info') {
+        console.log(`ℹ️  ${testCase.name} (actual: ${testCase.measured})`);
+      } else if (testCase.status === 'passed') {
+        console.log(`✅ PASSED: ${testCase.name} (actual: ${testCase.measured})`);
+      } else {
+        console.log(`❌ FAILED: ${testCase.name} (actual: ${testCase.measured}, limit: ${testCase.limit})`);
+      }
+    });
   });
-  
-  const totalReqs = Object.values(statusCodes).reduce((sum, count) => sum + count, 0);
-  const errorReqs = Object.entries(statusCodes)
-    .filter(([code]) => code.startsWith('4') || code.startsWith('5'))
-    .reduce((sum, [_, count]) => sum + count, 0);
-  
-  const errorRate = totalReqs > 0 ? (errorReqs / totalReqs) : 0;
-  
-  console.log(`Error rate: ${(errorRate * 100).toFixed(2)}% (threshold: ${(THRESHOLDS.errorRate * 100).toFixed(2)}%)`);
-  
-  // Check if thresholds were met
-  let failures = 0;
-  
-  if (p95 > THRESHOLDS.responseTime) {
-    console.log(`❌ FAILED: Response time exceeds threshold`);
-    failures++;
+
+  if (options.junit) {
+    fs.writeFileSync(options.junit, renderJUnit(suites, `k6.${path.basename(resultsFile, '.json')}`));
+    console.log(`\nJUnit report written to ${options.junit}`);
   }
-  
-  if (errorRate > THRESHOLDS.errorRate) {
-    console.log(`❌ FAILED: Error rate exceeds threshold`);
-    failures++;
+
+  if (options.markdown) {
+    fs.appendFileSync(options.markdown, `${renderMarkdown(suites, `k6 validation – ${path.basename(resultsFile)}`)}\n`);
   }
-  
+
+  const failures = suites.flatMap(suite => suite.cases).filter(testCase => testCase.status === 'failed').length;
+
   if (failures === 0) {
-    console.log(`✅ PASSED: All thresholds met`);
+    console.log(`\n✅ PASSED: All thresholds and checks met`);
     process.exit(SUCCESS);
   } else {
-    console.log(`❌ FAILED: ${failures} threshold(s) not met`);
+    console.log(`\n❌ FAILED: ${failures} threshold(s) or check(s) not met`);
     process.exit(FAILURE);
   }
-  
-} catch (err) {
+}
+
+main().catch(err => {
   console.error('Error reading or parsing the file:', err);
   process.exit(FAILURE);
-}
+});